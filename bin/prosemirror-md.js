@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { run } from '../src/cli/index.js';
+
+run(process.argv.slice(2)).then(status => {
+    process.exitCode = status;
+}, error => {
+    process.stderr.write(`prosemirror-md: ${error.message}\n`);
+    process.exitCode = 2;
+});
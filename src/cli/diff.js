@@ -0,0 +1,121 @@
+/**
+ * Line diffs in unified format, for showing what normalizing would change
+ */
+
+/**
+ * Split text into lines, each keeping its newline
+ * @param {string} text - Text
+ * @returns {string[]} Lines; the last has no newline if the text does not end in one
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Find the shortest edit script between two lists of lines (Myers' algorithm)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string, old: number, new: number}>}
+ *     Kept, removed and added lines in order, with the 1-based line numbers
+ *     they are at in both texts
+ */
+function diffLines(a, b) {
+    const n = a.length, m = b.length, max = n + m, offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // Furthest x on each diagonal k after each number of edits, kept for backtracking
+    const trace = [];
+
+    search:
+    for (let d = 0; d <= max; d++) {
+        trace.push({ d, values: v.slice(offset - d - 1, offset + d + 2) });
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) break search;
+        }
+    }
+
+    const ops = [];
+    let x = n, y = m;
+    for (let i = trace.length - 1; i >= 0; i--) {
+        const { d, values } = trace[i];
+        const at = k => values[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK), prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x], old: x + 1, new: --y + 1 });
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: '+', line: b[--y], old: x + 1, new: y + 1 });
+            else ops.push({ type: '-', line: a[--x], old: x + 1, new: y + 1 });
+        }
+    }
+    return ops.reverse();
+}
+
+/**
+ * Format the start and length of a hunk's range
+ * @param {number} start - First line number
+ * @param {number} count - Number of lines
+ * @returns {string} Range such as `3,7`
+ */
+function hunkRange(start, count) {
+    if (count === 1) return `${start}`;
+    // An empty range points at the line before it
+    return `${count ? start : start - 1},${count}`;
+}
+
+/**
+ * Show the differences between two texts as a unified diff
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} [options]
+ * @param {string} [options.fromFile='a'] - Label of the original
+ * @param {string} [options.toFile='b'] - Label of the changed text
+ * @param {number} [options.context=3] - Unchanged lines shown around changes
+ * @returns {string} Diff ending in a newline, empty if the texts are equal
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+    if (oldText === newText) return '';
+
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+    let i = 0;
+    while (i < ops.length) {
+        if (ops[i].type === ' ') {
+            i++;
+            continue;
+        }
+
+        // Changes closer together than twice the context share a hunk
+        let end = i;
+        while (end < ops.length) {
+            if (ops[end].type !== ' ') {
+                end++;
+                continue;
+            }
+            let next = end;
+            while (next < ops.length && ops[next].type === ' ') next++;
+            if (next === ops.length || next - end > 2 * context) break;
+            end = next;
+        }
+
+        const hunk = ops.slice(Math.max(0, i - context), Math.min(ops.length, end + context));
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        out.push(`@@ -${hunkRange(hunk[0].old, oldCount)} +${hunkRange(hunk[0].new, newCount)} @@`);
+        for (const op of hunk) {
+            out.push(op.type + (op.line.endsWith('\n') ? op.line.slice(0, -1) : op.line + '\n\\ No newline at end of file'));
+        }
+        i = end + context;
+    }
+    return out.join('\n') + '\n';
+}
@@ -0,0 +1,171 @@
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { join, extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createMarkdownFormat } from '../markdown/extensions.js';
+import { normalizeMarkdown } from '../markdown/normalize.js';
+import { unifiedDiff } from './diff.js';
+
+/**
+ * `prosemirror-md` command line tool: normalizes markdown files to the form
+ * the editor writes, or checks that they already are
+ */
+
+const USAGE = `Usage: prosemirror-md [options] [file or directory ...]
+
+Normalize markdown to the form the editor writes. Files are rewritten in
+place; without files, standard input is normalized to standard output.
+Directories are searched for .md and .markdown files.
+
+Options:
+  --check               Write nothing, list the files that would change and
+                        exit with status 1 if any would
+  --diff                Write nothing, print a diff of what would change
+  --extension <module>  Load markdown extensions from a module exporting an
+                        extension or an array of them as default; repeatable
+  -h, --help            Show this help
+`;
+
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown']);
+
+// Exit statuses
+const OK = 0, CHANGED = 1, FAILED = 2;
+
+/**
+ * Read the command line arguments
+ * @param {string[]} args - Arguments after the command
+ * @returns {{check: boolean, diff: boolean, help: boolean, extensions: string[], paths: string[]}} Options
+ * @throws {Error} If an option is unknown or misses its value
+ */
+function parseArgs(args) {
+    const options = { check: false, diff: false, help: false, extensions: [], paths: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--check') options.check = true;
+        else if (arg === '--diff') options.diff = true;
+        else if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--extension' || arg.startsWith('--extension=')) {
+            const value = arg === '--extension' ? args[++i] : arg.slice('--extension='.length);
+            if (!value) throw new Error('--extension needs a module path');
+            options.extensions.push(value);
+        } else if (arg === '--') {
+            // Everything after is a path, even if it starts with a dash
+            options.paths.push(...args.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Import extension modules
+ * @param {string[]} paths - Module paths, relative to the working directory
+ * @returns {Promise<import('../markdown/extensions.js').MarkdownExtension[]>} Extensions
+ */
+async function loadExtensions(paths) {
+    const extensions = [];
+    for (const path of paths) {
+        const module = await import(pathToFileURL(resolve(path)).href);
+        extensions.push(...[].concat(module.default));
+    }
+    return extensions;
+}
+
+/**
+ * List the markdown files given on the command line, searching directories
+ * @param {string[]} paths - Files and directories
+ * @returns {Promise<string[]>} Files
+ */
+async function findFiles(paths) {
+    const files = [];
+    const visit = async (path, explicit) => {
+        if ((await stat(path)).isDirectory()) {
+            const entries = await readdir(path, { withFileTypes: true });
+            entries.sort((a, b) => a.name.localeCompare(b.name));
+            for (const entry of entries) {
+                // Hidden directories and dependencies are not the project's documents
+                if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+                await visit(join(path, entry.name), false);
+            }
+        } else if (explicit || MARKDOWN_EXTENSIONS.has(extname(path).toLowerCase())) {
+            files.push(path);
+        }
+    };
+    for (const path of paths) await visit(path, true);
+    return files;
+}
+
+/**
+ * Read all of standard input
+ * @returns {Promise<string>} Input text
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Run the command line tool
+ * @param {string[]} args - Arguments after the command
+ * @returns {Promise<number>} Exit status: 0 on success, 1 if `--check` found
+ *     files to change, 2 on errors
+ */
+export async function run(args) {
+    let options, format;
+    try {
+        options = parseArgs(args);
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return OK;
+        }
+        format = createMarkdownFormat(await loadExtensions(options.extensions));
+    } catch (error) {
+        process.stderr.write(`prosemirror-md: ${error.message}\n${options ? '' : `\n${USAGE}`}`);
+        return FAILED;
+    }
+    const dryRun = options.check || options.diff;
+
+    // Standard input to standard output
+    if (!options.paths.length || (options.paths.length === 1 && options.paths[0] === '-')) {
+        try {
+            const input = await readStdin();
+            const output = normalizeMarkdown(input, { format });
+            if (options.diff) process.stdout.write(unifiedDiff(input, output, { fromFile: '<stdin>', toFile: '<stdin>' }));
+            else if (!options.check) process.stdout.write(output);
+            return options.check && output !== input ? CHANGED : OK;
+        } catch (error) {
+            process.stderr.write(`prosemirror-md: <stdin>: ${error.message}\n`);
+            return FAILED;
+        }
+    }
+
+    let status = OK;
+    let files;
+    try {
+        files = await findFiles(options.paths);
+    } catch (error) {
+        process.stderr.write(`prosemirror-md: ${error.message}\n`);
+        return FAILED;
+    }
+
+    for (const file of files) {
+        try {
+            const input = await readFile(file, 'utf8');
+            const output = normalizeMarkdown(input, { format });
+            if (output === input) continue;
+
+            if (options.diff) process.stdout.write(unifiedDiff(input, output, { fromFile: file, toFile: file }));
+            else if (options.check) process.stdout.write(`${file}\n`);
+            if (!dryRun) await writeFile(file, output);
+            if (options.check && status === OK) status = CHANGED;
+        } catch (error) {
+            process.stderr.write(`prosemirror-md: ${file}: ${error.message}\n`);
+            status = FAILED;
+        }
+    }
+    return status;
+}
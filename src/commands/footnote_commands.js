@@ -0,0 +1,169 @@
+/**
+ * Footnote commands
+ *
+ * Footnote references are inline `footnote_ref` atoms and their definitions
+ * are `footnote_definition` blocks kept at the end of the document. Footnotes
+ * are numbered by the first appearance of their reference. Numeric labels
+ * follow that numbering, so adding or removing a reference renumbers the
+ * footnotes after it; other labels are kept as written.
+ *
+ * @module footnote_commands
+ */
+
+import { Fragment } from 'prosemirror-model';
+import { TextSelection } from 'prosemirror-state';
+import { cmd } from './util.js';
+
+/**
+ * @typedef {import('prosemirror-model').Schema} Schema
+ * @typedef {import('prosemirror-model').Node} Node
+ * @typedef {import('./types.d.ts').Transaction} Transaction
+ * @typedef {import('./types.d.ts').Command} Command
+ */
+
+/**
+ * @typedef {Object} Footnotes
+ * @property {Array<{label: string, pos: number}>} refs - References in document order
+ * @property {string[]} order - Referenced labels by first appearance
+ * @property {Node[]} definitions - Definition nodes at the end of the document
+ * @property {number} definitionsPos - Position where the definitions start
+ */
+
+const NUMERIC_LABEL = /^\d+$/;
+
+// ============================================================================
+// Public Commands
+// ============================================================================
+
+/**
+ * Insert a new footnote reference at the selection, add an empty definition
+ * for it and place the cursor in the definition
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @returns {Command} Footnote insertion command
+ */
+export function insertFootnote(schema) {
+    const { footnote_ref, footnote_definition, paragraph } = schema.nodes;
+
+    return cmd((state, dispatch) => {
+        const { $from } = state.selection;
+        if (!$from.parent.inlineContent || $from.parent.type.spec.code) return false;
+        if (!$from.parent.canReplaceWith($from.index(), $from.indexAfter(), footnote_ref)) return false;
+        if (!dispatch) return true;
+
+        const tr = state.tr.replaceSelectionWith(footnote_ref.create({ label: nextFootnoteLabel(state.doc) }));
+        const refPos = tr.selection.from - 1;
+        tr.insert(tr.doc.content.size, footnote_definition.create(
+            { label: tr.doc.nodeAt(refPos).attrs.label }, paragraph.create()));
+        renumberFootnotesFunc(tr, state.doc);
+
+        // Renumbering only changes attributes before the definitions, so refPos still holds
+        const label = tr.doc.nodeAt(refPos).attrs.label;
+        const { definitions, definitionsPos } = collectFootnotes(tr.doc);
+        let pos = definitionsPos;
+        for (const definition of definitions) {
+            if (definition.attrs.label === label) break;
+            pos += definition.nodeSize;
+        }
+        tr.setSelection(TextSelection.create(tr.doc, pos + 2));
+        dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+// ============================================================================
+// Footnote Helpers
+// ============================================================================
+
+/**
+ * Collect the footnote references and definitions of a document
+ *
+ * @param {Node} doc - Document node
+ * @returns {Footnotes} References and definitions
+ */
+export function collectFootnotes(doc) {
+    const refs = [], order = [], definitions = [];
+    let definitionsPos = doc.content.size;
+
+    doc.forEach((node, offset) => {
+        if (node.type.name === 'footnote_definition') {
+            if (!definitions.length) definitionsPos = offset;
+            definitions.push(node);
+        }
+    });
+
+    doc.descendants((node, pos) => {
+        if (node.type.name !== 'footnote_ref') return true;
+        refs.push({ label: node.attrs.label, pos });
+        if (!order.includes(node.attrs.label)) order.push(node.attrs.label);
+        return false;
+    });
+
+    return { refs, order, definitions, definitionsPos };
+}
+
+/**
+ * Pick a numeric label not used by any footnote yet
+ *
+ * @param {Node} doc - Document node
+ * @returns {string} New label
+ */
+export function nextFootnoteLabel(doc) {
+    const { order, definitions } = collectFootnotes(doc);
+    const labels = order.concat(definitions.map(definition => definition.attrs.label));
+    return String(Math.max(0, ...labels.filter(label => NUMERIC_LABEL.test(label)).map(Number)) + 1);
+}
+
+/**
+ * Renumber footnotes after references were added, removed or reordered
+ *
+ * Numeric labels are set to the footnote's number and the definitions are
+ * sorted by number, unreferenced ones last.
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {Node} oldDoc - Document before the changes that touched references
+ * @returns {boolean} True if anything was renumbered
+ */
+export function renumberFootnotesFunc(tr, oldDoc) {
+    const before = collectFootnotes(oldDoc);
+    const after = collectFootnotes(tr.doc);
+    if (before.order.join('\n') === after.order.join('\n')) return false;
+
+    const labels = new Map();
+    after.order.forEach((label, i) => {
+        if (NUMERIC_LABEL.test(label)) labels.set(label, String(i + 1));
+    });
+
+    const referenced = [], unreferenced = [];
+    for (const definition of after.definitions) {
+        const { label } = definition.attrs;
+        (after.order.includes(label) ? referenced : unreferenced).push(definition);
+    }
+    // Definitions whose references were all removed are kept, since the
+    // reference may just be moving (cut and paste), and numbered last
+    let next = after.order.length;
+    for (const definition of unreferenced) {
+        const { label } = definition.attrs;
+        if (NUMERIC_LABEL.test(label)) labels.set(label, String(++next));
+    }
+    const relabel = label => labels.get(label) || label;
+
+    let changed = false;
+    for (const { label, pos } of after.refs) {
+        if (relabel(label) === label) continue;
+        tr.setNodeMarkup(pos, null, { label: relabel(label) });
+        changed = true;
+    }
+
+    referenced.sort((a, b) => after.order.indexOf(a.attrs.label) - after.order.indexOf(b.attrs.label));
+    const definitions = Fragment.from(referenced.concat(unreferenced).map(definition => {
+        const label = relabel(definition.attrs.label);
+        return label === definition.attrs.label ? definition
+            : definition.type.create({ ...definition.attrs, label }, definition.content);
+    }));
+    if (!definitions.eq(Fragment.from(after.definitions))) {
+        tr.replaceWith(after.definitionsPos, tr.doc.content.size, definitions);
+        changed = true;
+    }
+    return changed;
+}
@@ -1,4 +1,8 @@
 export * from './commands.js';
 export * from './list_commands.js';
+export * from './table_commands.js';
+export * from './footnote_commands.js';
+export * from './link_commands.js';
+export * from './source_commands.js';
 
 export { cmd, funcToCommand } from './util.js';
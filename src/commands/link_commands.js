@@ -0,0 +1,190 @@
+/**
+ * Link commands
+ *
+ * Links are `link` marks. A reference-style link also carries the label of
+ * a `link_definition` block, whose target it shares: changing the target
+ * of a reference updates the definition and every link using it.
+ *
+ * @module link_commands
+ */
+
+import { collectLinkDefinitions, normalizeLinkLabel } from '../markdown/link-definitions.js';
+import { collectFootnotes } from './footnote_commands.js';
+import { cmd } from './util.js';
+
+export { collectLinkDefinitions, normalizeLinkLabel };
+
+/**
+ * @typedef {import('prosemirror-model').Schema} Schema
+ * @typedef {import('prosemirror-model').Node} Node
+ * @typedef {import('prosemirror-model').Mark} Mark
+ * @typedef {import('prosemirror-model').MarkType} MarkType
+ * @typedef {import('./types.d.ts').EditorState} EditorState
+ * @typedef {import('./types.d.ts').Transaction} Transaction
+ * @typedef {import('./types.d.ts').Command} Command
+ */
+
+/**
+ * @typedef {Object} LinkOptions
+ * @property {string|null} [href] - Link target; for a reference, the target of
+ *     a new definition or the new target of an existing one
+ * @property {string|null} [title] - Link title
+ * @property {string|null} [reference] - Label of the definition to link through
+ */
+
+// ============================================================================
+// Public Commands
+// ============================================================================
+
+/**
+ * Link the selection, or the link around the cursor, to a URL or through a
+ * reference definition. A reference that is not defined yet is created at
+ * the end of the document from `href`.
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @param {LinkOptions} options - Link target
+ * @returns {Command} Link command
+ */
+export function setLink(schema, options) {
+    return cmd((state, dispatch) => {
+        const range = findLinkRange(state, schema.marks.link);
+        if (!range) return false;
+        if (options.reference ? !options.reference.trim() : !options.href) return false;
+        if (options.reference && !options.href && !collectLinkDefinitions(state.doc).has(normalizeLinkLabel(options.reference))) {
+            return false;
+        }
+        if (!dispatch) return true;
+
+        const tr = state.tr;
+        setLinkFunc(tr, range.from, range.to, schema, options);
+        dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+/**
+ * Remove the link from the selection, or the whole link around the cursor
+ *
+ * @param {MarkType} markType - Link mark type
+ * @returns {Command} Unlink command
+ */
+export function removeLink(markType) {
+    return cmd((state, dispatch) => {
+        const range = findLinkRange(state, markType);
+        if (!range || (!range.mark && !state.doc.rangeHasMark(range.from, range.to, markType))) return false;
+        if (dispatch) dispatch(state.tr.removeMark(range.from, range.to, markType));
+        return true;
+    });
+}
+
+// ============================================================================
+// Link Helpers
+// ============================================================================
+
+/**
+ * Find the range a link command applies to: the selection, or the extent of
+ * the link around an empty selection
+ *
+ * @param {EditorState} state - Editor state
+ * @param {MarkType} markType - Link mark type
+ * @returns {{from: number, to: number, mark: Mark|null}|null} Range and the
+ *     link mark at its start, null if there is nothing to link
+ */
+export function findLinkRange(state, markType) {
+    const { $from, from, to, empty } = state.selection;
+    if (!empty) {
+        return { from, to, mark: ($from.nodeAfter && markType.isInSet($from.nodeAfter.marks)) || null };
+    }
+
+    // Take the link the cursor is in, or the one it directly follows
+    const parent = $from.parent;
+    let index = $from.index();
+    let mark = index < parent.childCount ? markType.isInSet(parent.child(index).marks) : null;
+    if (!mark && $from.textOffset === 0 && index > 0) {
+        index--;
+        mark = markType.isInSet(parent.child(index).marks);
+    }
+    if (!mark) return null;
+
+    let start = index, end = index + 1;
+    while (start > 0 && mark.isInSet(parent.child(start - 1).marks)) start--;
+    while (end < parent.childCount && mark.isInSet(parent.child(end).marks)) end++;
+
+    let pos = $from.start();
+    for (let i = 0; i < start; i++) pos += parent.child(i).nodeSize;
+    let endPos = pos;
+    for (let i = start; i < end; i++) endPos += parent.child(i).nodeSize;
+    return { from: pos, to: endPos, mark };
+}
+
+/**
+ * Link a range, creating or retargeting a reference definition if needed
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {number} from - Start of the range
+ * @param {number} to - End of the range
+ * @param {Schema} schema - ProseMirror schema
+ * @param {LinkOptions} options - Link target
+ * @returns {boolean} True if the range was linked
+ */
+export function setLinkFunc(tr, from, to, schema, { href = null, title = null, reference = null }) {
+    const markType = schema.marks.link;
+    const $from = tr.doc.resolve(from);
+    const current = ($from.nodeAfter && markType.isInSet($from.nodeAfter.marks)) || null;
+    let attrs = { href, title, reference: null, style: current && !current.attrs.reference ? current.attrs.style : null };
+
+    if (reference) {
+        const definition = collectLinkDefinitions(tr.doc).get(normalizeLinkLabel(reference));
+        if (definition) {
+            if (href && (href !== definition.href || title !== definition.title)) {
+                updateLinkDefinitionFunc(tr, definition.label, { href, title });
+            }
+            attrs = { href: href || definition.href, title: href ? title : definition.title, reference: definition.label, style: 'full' };
+        } else {
+            if (!href) return false;
+            tr.insert(collectFootnotes(tr.doc).definitionsPos,
+                schema.nodes.link_definition.create({ label: reference.trim(), href, title }));
+            attrs = { href, title, reference: reference.trim(), style: 'full' };
+        }
+        // Relinking through the same reference keeps the form it was written in
+        if (current && current.attrs.reference && normalizeLinkLabel(current.attrs.reference) === normalizeLinkLabel(reference)) {
+            attrs.style = current.attrs.style;
+        }
+    }
+
+    tr.removeMark(from, to, markType);
+    tr.addMark(from, to, markType.create(attrs));
+    return true;
+}
+
+/**
+ * Change the target of a reference definition and of every link using it
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {string} label - Reference label
+ * @param {{href: string, title?: string|null}} target - New target
+ * @returns {boolean} True if the label is defined
+ */
+export function updateLinkDefinitionFunc(tr, label, { href, title = null }) {
+    const key = normalizeLinkLabel(label);
+    const definition = collectLinkDefinitions(tr.doc).get(key);
+    if (!definition) return false;
+
+    tr.setNodeMarkup(definition.pos, null, { ...tr.doc.nodeAt(definition.pos).attrs, href, title });
+
+    const updates = [];
+    tr.doc.descendants((node, pos) => {
+        if (!node.isInline) return true;
+        for (const mark of node.marks) {
+            if (mark.type.name === 'link' && mark.attrs.reference && normalizeLinkLabel(mark.attrs.reference) === key) {
+                updates.push({ from: pos, to: pos + node.nodeSize, mark });
+            }
+        }
+        return false;
+    });
+    for (const { from, to, mark } of updates) {
+        tr.removeMark(from, to, mark);
+        tr.addMark(from, to, mark.type.create({ ...mark.attrs, href, title }));
+    }
+    return true;
+}
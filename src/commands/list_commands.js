@@ -7,7 +7,7 @@
  * @module list_commands
  */
 
-import { liftListItem, sinkListItem } from 'prosemirror-schema-list';
+import { sinkListItem, splitListItem, wrapInList } from 'prosemirror-schema-list';
 import { canJoin, canSplit, liftTarget, ReplaceAroundStep } from 'prosemirror-transform';
 import { Fragment, NodeRange, Slice } from 'prosemirror-model';
 import { cmd, funcToCommand, mapping } from './util.js';
@@ -135,6 +135,91 @@ export function customLiftListItem(schema, allowLiftOut = false) {
     });
 }
 
+/**
+ * Toggle task list state for the selected list items
+ *
+ * This command provides checkbox list behavior:
+ * - Inside a list, turns the selected items into unchecked task items, or
+ *   back into plain items if they all are task items already
+ * - Outside a list, wraps the selection in a bullet list of task items
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @returns {Command} Task list toggle command
+ */
+export function toggleTaskList(schema) {
+    const itemType = schema.nodes.list_item;
+    const wrapCommand = wrapInList(schema.nodes.bullet_list);
+
+    return cmd((state, dispatch) => {
+        let { $from, $to } = state.selection;
+        let range = getListRange($from, $to, itemType);
+
+        if (range) {
+            if (dispatch) {
+                let tr = state.tr;
+                let makeTask = listItemsInRange(range).some(({ node }) => node.attrs.checked === null);
+                setTaskStateFunc(tr, range, makeTask);
+                dispatch(tr.scrollIntoView());
+            }
+            return true;
+        }
+
+        // Not in a list yet: wrap in a bullet list, then mark the new items
+        let wrapped = null;
+        if (!wrapCommand(state, tr => { wrapped = tr; })) return false;
+
+        if (dispatch && wrapped) {
+            let { $from, $to } = wrapped.selection;
+            let newRange = getListRange($from, $to, itemType);
+            if (newRange) setTaskStateFunc(wrapped, newRange, true);
+            dispatch(wrapped.scrollIntoView());
+        }
+        return true;
+    });
+}
+
+/**
+ * Split list item command where new task items always start unchecked
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @returns {Command} Split list item command
+ */
+export function customSplitListItem(schema) {
+    const itemType = schema.nodes.list_item;
+    const splitCommand = splitListItem(itemType);
+
+    return cmd((state, dispatch, view) => {
+        return splitCommand(state, dispatch && (tr => {
+            let { $from } = tr.selection;
+            for (let d = $from.depth; d > 0; d--) {
+                let node = $from.node(d);
+                if (node.type !== itemType) continue;
+                if (node.attrs.checked) {
+                    tr.setNodeMarkup($from.before(d), null, { ...node.attrs, checked: false });
+                }
+                break;
+            }
+            dispatch(tr);
+        }), view);
+    });
+}
+
+/**
+ * Check whether the selection is inside a task list item
+ *
+ * @param {EditorState} state - Current editor state
+ * @param {NodeType} itemType - The list_item node type
+ * @returns {boolean} True if the innermost list item around the selection is a task item
+ */
+export function isInTaskItem(state, itemType) {
+    let { $from } = state.selection;
+    for (let d = $from.depth; d > 0; d--) {
+        let node = $from.node(d);
+        if (node.type === itemType) return node.attrs.checked !== null;
+    }
+    return false;
+}
+
 // ============================================================================
 // Helper Functions - List Structure Analysis
 // ============================================================================
@@ -196,10 +281,45 @@ function isFirstParagraphInListItem(state, itemType, paragraphType) {
     return true; // In first paragraph, allow operation
 }
 
+/**
+ * Collect the list items covered by a list range
+ *
+ * @param {NodeRange} range - Range whose parent is a list
+ * @returns {Array<{node: import('prosemirror-model').Node, pos: number}>} Items with their positions
+ */
+function listItemsInRange(range) {
+    let items = [];
+    let pos = range.start;
+    for (let i = range.startIndex; i < range.endIndex; i++) {
+        let node = range.parent.child(i);
+        items.push({ node, pos });
+        pos += node.nodeSize;
+    }
+    return items;
+}
+
 // ============================================================================
 // Helper Functions - List Transformation
 // ============================================================================
 
+/**
+ * Set or clear the task state of every list item in a range
+ *
+ * Existing task items keep their checked state when making tasks.
+ *
+ * @param {Transform} tr - The transaction to modify
+ * @param {NodeRange} range - Range whose parent is a list
+ * @param {boolean} makeTask - True to make task items, false for plain items
+ */
+function setTaskStateFunc(tr, range, makeTask) {
+    for (let { node, pos } of listItemsInRange(range)) {
+        let checked = makeTask ? (node.attrs.checked === null ? false : node.attrs.checked) : null;
+        if (checked !== node.attrs.checked) {
+            tr.setNodeMarkup(pos, null, { ...node.attrs, checked });
+        }
+    }
+}
+
 /**
  * Split a list item at the given position
  *
@@ -0,0 +1,465 @@
+/**
+ * Markdown source commands
+ *
+ * Commands for the source pane, whose document is a flat list of text
+ * lines. They edit the markdown syntax itself: continuing and renumbering
+ * lists, indenting lines, wrapping the selection in inline markup and
+ * toggling line prefixes such as blockquote markers and heading hashes.
+ *
+ * @module source_commands
+ */
+
+import { TextSelection } from 'prosemirror-state';
+import { funcToCommand } from './util.js';
+
+/**
+ * @typedef {import('prosemirror-model').Node} Node
+ * @typedef {import('./types.d.ts').Transaction} Transaction
+ * @typedef {import('./types.d.ts').Command} Command
+ */
+
+/**
+ * @typedef {Object} SourceLine
+ * @property {string} quote - Blockquote markers, e.g. `> > `
+ * @property {string} indent - Whitespace after the quote markers
+ * @property {string|null} bullet - Bullet list marker
+ * @property {number|null} number - Ordered list number
+ * @property {string|null} delimiter - Ordered list delimiter, `.` or `)`
+ * @property {string} spacing - Whitespace after the list marker
+ * @property {boolean} task - Whether the item has a task box
+ * @property {string} prefix - Everything before the line's content
+ * @property {boolean} blank - Whether the line has no content after the quote markers
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Indentation added or removed per level by Tab and Shift-Tab
+ */
+const INDENT = '    ';
+
+const QUOTE_PREFIX = /^(?:[ \t]{0,3}>[ \t]?)*/;
+const LIST_MARKER = /^([-+*]|(\d{1,9})([.)]))([ \t]+|$)(\[[ xX]\](?:[ \t]+|$))?/;
+const HEADING_PREFIX = /^#{1,6}(?:[ \t]+|$)/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// ============================================================================
+// Public Commands
+// ============================================================================
+
+/**
+ * Split the line, continuing the list item or blockquote it is in: the new
+ * line gets the same markers, with the next number for an ordered item and
+ * an unchecked box for a task. On an item with no content, end the list
+ * instead. Following items of an ordered list are renumbered.
+ *
+ * @returns {Command} Enter command, false outside lists and quotes
+ */
+export function continueSourceList() {
+    return funcToCommand(continueSourceListFunc);
+}
+
+/**
+ * Indent or outdent the selected lines. With an empty selection outside a
+ * list item, Tab inserts spaces at the cursor instead.
+ *
+ * @param {number} direction - 1 to indent, -1 to outdent
+ * @returns {Command} Indent command
+ */
+export function indentSourceLines(direction) {
+    return funcToCommand(tr => direction > 0 ? indentSourceLinesFunc(tr) : outdentSourceLinesFunc(tr));
+}
+
+/**
+ * Wrap the selection in inline markup such as `**`, or unwrap it if it
+ * already is. An empty selection gets an empty pair with the cursor inside.
+ *
+ * @param {string} delimiter - Markup on both sides, e.g. `**` or `` ` ``
+ * @returns {Command} Toggle command
+ */
+export function toggleSourceWrap(delimiter) {
+    return funcToCommand(tr => toggleSourceWrapFunc(tr, delimiter));
+}
+
+/**
+ * Turn the selection into an inline link `[text](url)`, leaving the cursor
+ * where the URL goes, or unwrap the link the selection is in
+ *
+ * @returns {Command} Link command
+ */
+export function toggleSourceLink() {
+    return funcToCommand(toggleSourceLinkFunc);
+}
+
+/**
+ * Add a blockquote marker to the selected lines, or remove one level if
+ * they are all quoted
+ *
+ * @returns {Command} Blockquote command
+ */
+export function toggleSourceBlockquote() {
+    return funcToCommand(toggleSourceBlockquoteFunc);
+}
+
+/**
+ * Make the selected lines headings of a level, or plain lines if they
+ * already are
+ *
+ * @param {number} level - Heading level, 0 to remove headings
+ * @returns {Command} Heading command
+ */
+export function setSourceHeading(level) {
+    return funcToCommand(tr => setSourceHeadingFunc(tr, level));
+}
+
+// ============================================================================
+// Line Helpers
+// ============================================================================
+
+/**
+ * Parse the markers at the start of a line
+ *
+ * @param {string} text - Line text
+ * @returns {SourceLine} Parsed line
+ */
+export function parseSourceLine(text) {
+    const quote = QUOTE_PREFIX.exec(text)[0];
+    const rest = text.slice(quote.length);
+    const indent = /^[ \t]*/.exec(rest)[0];
+    const item = LIST_MARKER.exec(rest.slice(indent.length));
+    return {
+        quote,
+        indent,
+        bullet: item && !item[2] ? item[1] : null,
+        number: item && item[2] ? Number(item[2]) : null,
+        delimiter: item && item[2] ? item[3] : null,
+        spacing: item ? item[4] : '',
+        task: !!(item && item[5]),
+        prefix: quote + indent + (item ? item[0] : ''),
+        blank: !rest.trim()
+    };
+}
+
+/**
+ * Document position of the start of a line node
+ *
+ * @param {Node} doc - Source document
+ * @param {number} index - Line index
+ * @returns {number} Position before the line
+ */
+function linePos(doc, index) {
+    let pos = 0;
+    for (let i = 0; i < index; i++) pos += doc.child(i).nodeSize;
+    return pos;
+}
+
+/**
+ * Indices of the lines the selection touches. A multi-line selection
+ * ending at the start of a line does not include that line.
+ *
+ * @param {Transaction} tr - Transaction
+ * @returns {number[]} Line indices
+ */
+function selectedLines(tr) {
+    const { $from, $to } = tr.selection;
+    const first = $from.index(0);
+    let last = $to.index(0);
+    if (last > first && $to.parentOffset === 0) last--;
+    const lines = [];
+    for (let i = first; i <= last; i++) lines.push(i);
+    return lines;
+}
+
+/**
+ * Whether a line is inside a fenced code block
+ *
+ * @param {Node} doc - Source document
+ * @param {number} index - Line index
+ * @returns {boolean} True for fences and the lines between them
+ */
+function isFencedLine(doc, index) {
+    let fence = null;
+    for (let i = 0; i <= index; i++) {
+        const match = FENCE.exec(doc.child(i).textContent);
+        if (!match) continue;
+        if (!fence) fence = match[1];
+        else if (match[1][0] === fence[0] && match[1].length >= fence.length) {
+            if (i === index) return true;
+            fence = null;
+        }
+    }
+    return !!fence;
+}
+
+/**
+ * Replace part of each line, last line first so earlier positions stay valid.
+ * A selection spanning text keeps spanning it, growing over prefixes added at
+ * its ends, so the command can be repeated on the same lines.
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {number[]} lines - Line indices
+ * @param {(text: string) => {from: number, to: number, text: string}|null} edit -
+ *     Replacement as columns within the line, null to leave it unchanged
+ * @returns {boolean} True if any line changed
+ */
+function editLinesFunc(tr, lines, edit) {
+    const { anchor, head, empty } = tr.selection;
+    const steps = tr.mapping.maps.length;
+    let changed = false;
+    for (const index of [...lines].reverse()) {
+        const change = edit(tr.doc.child(index).textContent);
+        if (!change) continue;
+        const start = linePos(tr.doc, index) + 1;
+        if (change.text) tr.insertText(change.text, start + change.from, start + change.to);
+        else tr.delete(start + change.from, start + change.to);
+        changed = true;
+    }
+
+    // Inserting text collapses the selection
+    if (changed && !empty) {
+        const mapping = tr.mapping.slice(steps);
+        const side = pos => pos === Math.min(anchor, head) ? -1 : 1;
+        tr.setSelection(TextSelection.create(tr.doc, mapping.map(anchor, side(anchor)), mapping.map(head, side(head))));
+    }
+    return changed;
+}
+
+// ============================================================================
+// Command Implementations
+// ============================================================================
+
+/**
+ * Continue the list item or blockquote at the cursor on a new line
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {boolean} True if the cursor was in a list item or blockquote
+ */
+export function continueSourceListFunc(tr) {
+    const { $from, $to } = tr.selection;
+    const index = $from.index(0);
+    if ($to.index(0) !== index || isFencedLine(tr.doc, index)) return false;
+
+    const text = $from.parent.textContent;
+    const line = parseSourceLine(text);
+    const isItem = line.bullet !== null || line.number !== null;
+    if ((!isItem && !line.quote) || $from.parentOffset < line.prefix.length) return false;
+
+    if (!text.slice(line.prefix.length).trim()) {
+        // An empty item ends the list, an empty quote line the quote
+        const start = $from.start();
+        tr.delete(start + (isItem ? line.quote.length : 0), start + text.length);
+        return true;
+    }
+
+    let prefix = line.quote;
+    if (isItem) {
+        const marker = line.bullet || `${line.number + 1}${line.delimiter}`;
+        prefix += line.indent + marker + (line.spacing || ' ') + (line.task ? '[ ] ' : '');
+    }
+
+    tr.deleteSelection();
+    tr.split(tr.selection.from);
+    tr.insertText(prefix);
+    if (line.number !== null) renumberSourceListFunc(tr, index + 1);
+    return true;
+}
+
+/**
+ * Renumber the ordered list items following a line so they count up from it
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {number} index - Index of an ordered list item line
+ * @returns {boolean} True if any number changed
+ */
+export function renumberSourceListFunc(tr, index) {
+    const first = parseSourceLine(tr.doc.child(index).textContent);
+    if (first.number === null) return false;
+
+    let number = first.number, changed = false;
+    for (let i = index + 1; i < tr.doc.childCount; i++) {
+        const text = tr.doc.child(i).textContent;
+        const line = parseSourceLine(text);
+        if (line.blank) continue;
+        if (line.quote !== first.quote) break;
+        // Nested content belongs to the item above; anything else ends the list
+        if (line.indent.length > first.indent.length) continue;
+        if (line.indent.length < first.indent.length || line.number === null || line.delimiter !== first.delimiter) break;
+
+        number++;
+        if (line.number === number) continue;
+        const start = linePos(tr.doc, i) + 1 + line.quote.length + line.indent.length;
+        tr.insertText(String(number), start, start + String(line.number).length);
+        changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Indent the selected lines, or insert spaces at a cursor outside list items
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {boolean} Always true, so Tab never leaves the editor
+ */
+export function indentSourceLinesFunc(tr) {
+    const { empty, $from } = tr.selection;
+    const line = parseSourceLine($from.parent.textContent);
+    if (empty && line.bullet === null && line.number === null) {
+        tr.insertText(INDENT);
+        return true;
+    }
+
+    editLinesFunc(tr, selectedLines(tr), text => {
+        const { quote, blank } = parseSourceLine(text);
+        return blank ? null : { from: quote.length, to: quote.length, text: INDENT };
+    });
+    return true;
+}
+
+/**
+ * Remove one level of indentation from the selected lines
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {boolean} Always true, so Shift-Tab never leaves the editor
+ */
+export function outdentSourceLinesFunc(tr) {
+    editLinesFunc(tr, selectedLines(tr), text => {
+        const { quote, indent } = parseSourceLine(text);
+        const remove = indent[0] === '\t' ? 1 : Math.min(/^ */.exec(indent)[0].length, INDENT.length);
+        return remove ? { from: quote.length, to: quote.length + remove, text: '' } : null;
+    });
+    return true;
+}
+
+/**
+ * Toggle inline markup around the selection
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {string} delimiter - Markup on both sides
+ * @returns {boolean} False if the selection spans lines
+ */
+export function toggleSourceWrapFunc(tr, delimiter) {
+    const { from, to, $from, $to } = tr.selection;
+    if ($from.index(0) !== $to.index(0)) return false;
+
+    const text = $from.parent.textContent, start = $from.start();
+    const size = delimiter.length, char = delimiter[0];
+    const a = from - start, b = to - start;
+
+    // A run of exactly the delimiter, or of three `*` being strong and em at once
+    const runBefore = offset => {
+        let i = offset;
+        while (i > 0 && text[i - 1] === char) i--;
+        return offset - i;
+    };
+    const runAfter = offset => {
+        let i = offset;
+        while (i < text.length && text[i] === char) i++;
+        return i - offset;
+    };
+    const matches = run => run === size || (run === 3 && size < 3);
+
+    if (a < b && matches(runBefore(a)) && matches(runAfter(b))) {
+        // Markup just outside the selection
+        tr.delete(to, to + size).delete(from - size, from);
+        tr.setSelection(TextSelection.create(tr.doc, from - size, to - size));
+    } else if (b - a >= 2 * size && matches(runAfter(a)) && matches(runBefore(b))) {
+        // Markup at the edges of the selection
+        tr.delete(to - size, to).delete(from, from + size);
+        tr.setSelection(TextSelection.create(tr.doc, from, to - 2 * size));
+    } else if (a === b && runBefore(a) === size && runAfter(a) === size) {
+        // An empty pair around the cursor
+        tr.delete(from - size, from + size);
+    } else {
+        tr.insertText(delimiter, to).insertText(delimiter, from);
+        tr.setSelection(TextSelection.create(tr.doc, from + size, to + size));
+    }
+    return true;
+}
+
+/**
+ * Toggle an inline link around the selection
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {boolean} False if the selection spans lines
+ */
+export function toggleSourceLinkFunc(tr) {
+    const { from, to, $from, $to } = tr.selection;
+    if ($from.index(0) !== $to.index(0)) return false;
+
+    const text = $from.parent.textContent, start = $from.start();
+    const a = from - start, b = to - start;
+
+    // Unwrap a link the selection is inside of
+    const link = /(?<!!)\[((?:[^\]\\]|\\.)*)\]\([^()]*\)/g;
+    let match;
+    while ((match = link.exec(text))) {
+        const end = match.index + match[0].length;
+        if (match.index <= a && b <= end && !(a === end && b === end)) {
+            tr.insertText(match[1], start + match.index, start + end);
+            const textStart = start + match.index;
+            tr.setSelection(TextSelection.create(tr.doc, textStart, textStart + match[1].length));
+            return true;
+        }
+    }
+
+    // A selected URL becomes the target, anything else the text
+    const selected = text.slice(a, b);
+    if (/^(?:https?:\/\/|mailto:)\S+$/.test(selected)) {
+        tr.insertText(`[](${selected})`, from, to);
+        tr.setSelection(TextSelection.create(tr.doc, from + 1));
+    } else {
+        tr.insertText(`[${selected}]()`, from, to);
+        tr.setSelection(TextSelection.create(tr.doc, a === b ? from + 1 : from + selected.length + 3));
+    }
+    return true;
+}
+
+/**
+ * Toggle a blockquote marker on the selected lines
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {boolean} True if any line changed
+ */
+export function toggleSourceBlockquoteFunc(tr) {
+    const lines = selectedLines(tr);
+    const quoted = lines.every(index => {
+        const text = tr.doc.child(index).textContent;
+        return !text.trim() || /^[ \t]{0,3}>/.test(text);
+    });
+
+    return editLinesFunc(tr, lines, text => {
+        if (quoted) {
+            const marker = /^[ \t]{0,3}>[ \t]?/.exec(text);
+            return marker ? { from: 0, to: marker[0].length, text: '' } : null;
+        }
+        return { from: 0, to: 0, text: text.trim() ? '> ' : '>' };
+    });
+}
+
+/**
+ * Set or remove the heading level of the selected lines
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @param {number} level - Heading level, 0 to remove headings
+ * @returns {boolean} True if any line changed
+ */
+export function setSourceHeadingFunc(tr, level) {
+    const lines = selectedLines(tr).filter(index => !parseSourceLine(tr.doc.child(index).textContent).blank);
+    const headingLevel = text => {
+        const { prefix } = parseSourceLine(text);
+        const match = HEADING_PREFIX.exec(text.slice(prefix.length));
+        return match ? match[0].trim().length : 0;
+    };
+    // Setting the level all lines already have turns them back into plain lines
+    const target = lines.every(index => headingLevel(tr.doc.child(index).textContent) === level) ? 0 : level;
+
+    return editLinesFunc(tr, lines, text => {
+        const { prefix } = parseSourceLine(text);
+        const current = HEADING_PREFIX.exec(text.slice(prefix.length));
+        const markup = target ? '#'.repeat(target) + ' ' : '';
+        if ((current ? current[0] : '') === markup) return null;
+        return { from: prefix.length, to: prefix.length + (current ? current[0].length : 0), text: markup };
+    });
+}
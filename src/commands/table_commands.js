@@ -0,0 +1,420 @@
+/**
+ * Table commands for GFM pipe tables
+ *
+ * Tables in the markdown schema are simple grids: the first row holds
+ * `table_header` cells, every other row holds `table_cell` cells, and there
+ * are no row or column spans. Column alignment is stored on every cell of
+ * the column so that each cell renders its own `text-align`.
+ *
+ * @module table_commands
+ */
+
+import { TextSelection } from 'prosemirror-state';
+import { cmd } from './util.js';
+
+/**
+ * @typedef {import('prosemirror-model').Schema} Schema
+ * @typedef {import('prosemirror-model').Node} Node
+ * @typedef {import('prosemirror-model').ResolvedPos} ResolvedPos
+ * @typedef {import('./types.d.ts').Transaction} Transaction
+ * @typedef {import('./types.d.ts').Command} Command
+ * @typedef {import('./types.d.ts').EditorState} EditorState
+ */
+
+/**
+ * @typedef {Object} TableContext
+ * @property {Node} table - The table node
+ * @property {number} tablePos - Position directly before the table
+ * @property {number} row - Index of the row containing the selection
+ * @property {number} col - Index of the cell containing the selection
+ */
+
+// ============================================================================
+// Public Commands
+// ============================================================================
+
+/**
+ * Create a table node with a header row and empty cells
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @param {number} rows - Number of rows, including the header row
+ * @param {number} cols - Number of columns
+ * @returns {Node} Table node
+ */
+export function createTable(schema, rows, cols) {
+    const { table, table_row, table_header, table_cell } = schema.nodes;
+    const tableRows = [];
+    for (let r = 0; r < rows; r++) {
+        const cellType = r === 0 ? table_header : table_cell;
+        const cells = [];
+        for (let c = 0; c < cols; c++) cells.push(cellType.createAndFill());
+        tableRows.push(table_row.create(null, cells));
+    }
+    return table.create(null, tableRows);
+}
+
+/**
+ * Insert a new table at the selection and place the cursor in its first cell
+ *
+ * @param {Schema} schema - ProseMirror schema
+ * @param {number} [rows=3] - Number of rows, including the header row
+ * @param {number} [cols=3] - Number of columns
+ * @returns {Command} Table insertion command
+ */
+export function insertTable(schema, rows = 3, cols = 3) {
+    return cmd((state, dispatch) => {
+        if (isInTable(state)) return false;
+        if (!dispatch) return true;
+
+        const table = createTable(schema, rows, cols);
+        const tr = state.tr.replaceSelectionWith(table);
+
+        // replaceSelectionWith leaves the cursor after the table, move it into the first cell
+        tr.doc.descendants((node, pos) => {
+            if (node === table) tr.setSelection(TextSelection.create(tr.doc, pos + 3));
+            return node.isBlock && !node.isTextblock;
+        });
+        dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+/**
+ * Check whether the selection is inside a table cell
+ *
+ * @param {EditorState} state - Editor state
+ * @returns {boolean} True when the selection head is in a table
+ */
+export function isInTable(state) {
+    return !!findTableContext(state.selection.$head);
+}
+
+/**
+ * Get the alignment of the column containing the selection
+ *
+ * @param {EditorState} state - Editor state
+ * @returns {string|null|undefined} 'left', 'center', 'right', null for default, undefined outside a table
+ */
+export function getColumnAlign(state) {
+    const context = findTableContext(state.selection.$head);
+    if (!context) return undefined;
+    const header = context.table.firstChild;
+    return context.col < header.childCount ? header.child(context.col).attrs.align : null;
+}
+
+/**
+ * Move the selection to the next or previous cell
+ *
+ * Moving forward out of the last cell appends a new row, so Tab can be used
+ * to keep typing into a growing table.
+ *
+ * @param {number} direction - 1 for next cell, -1 for previous cell
+ * @returns {Command} Cell navigation command
+ */
+export function goToNextCell(direction) {
+    return cmd((state, dispatch) => {
+        const context = findTableContext(state.selection.$head);
+        if (!context) return false;
+        if (!dispatch) return true;
+
+        const { table, row, col } = context;
+        const cols = table.child(row).childCount;
+        let targetRow = row, targetCol = col + direction;
+        if (targetCol >= cols) {
+            targetRow++;
+            targetCol = 0;
+        } else if (targetCol < 0) {
+            targetRow--;
+            targetCol = table.child(Math.max(targetRow, 0)).childCount - 1;
+        }
+        if (targetRow < 0) return true;
+
+        const tr = state.tr;
+        if (targetRow >= table.childCount) {
+            addRowFunc(tr, context, table.childCount);
+        }
+        selectCellFunc(tr, context.tablePos, targetRow, targetCol);
+        dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+/**
+ * Move the selection to the cell below, appending a row when in the last row
+ *
+ * @returns {Command} Cell navigation command
+ */
+export function goToCellBelow() {
+    return cmd((state, dispatch) => {
+        const context = findTableContext(state.selection.$head);
+        if (!context) return false;
+        if (!dispatch) return true;
+
+        const tr = state.tr;
+        const targetRow = context.row + 1;
+        if (targetRow >= context.table.childCount) {
+            addRowFunc(tr, context, targetRow);
+        }
+        selectCellFunc(tr, context.tablePos, targetRow, context.col, true);
+        dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+/**
+ * Add a row before the selected row
+ *
+ * The header row always stays first, so this is unavailable in the header.
+ *
+ * @type {Command}
+ */
+export const addRowBefore = tableCommand((tr, context) => {
+    if (context.row === 0) return false;
+    addRowFunc(tr, context, context.row);
+    selectCellFunc(tr, context.tablePos, context.row, context.col, true);
+    return true;
+});
+
+/**
+ * Add a row after the selected row
+ *
+ * @type {Command}
+ */
+export const addRowAfter = tableCommand((tr, context) => {
+    addRowFunc(tr, context, context.row + 1);
+    selectCellFunc(tr, context.tablePos, context.row + 1, context.col, true);
+    return true;
+});
+
+/**
+ * Delete the selected row
+ *
+ * The header row cannot be deleted on its own; use {@link deleteTable}.
+ *
+ * @type {Command}
+ */
+export const deleteRow = tableCommand((tr, context) => {
+    const { table, tablePos, row, col } = context;
+    if (row === 0) return false;
+
+    const rowPos = rowPosition(table, tablePos, row);
+    tr.delete(rowPos, rowPos + table.child(row).nodeSize);
+    selectCellFunc(tr, tablePos, Math.min(row, table.childCount - 2), col, true);
+    return true;
+});
+
+/**
+ * Add a column before the selected column
+ *
+ * @type {Command}
+ */
+export const addColumnBefore = tableCommand((tr, context) => {
+    addColumnFunc(tr, context, context.col);
+    selectCellFunc(tr, context.tablePos, context.row, context.col, true);
+    return true;
+});
+
+/**
+ * Add a column after the selected column
+ *
+ * @type {Command}
+ */
+export const addColumnAfter = tableCommand((tr, context) => {
+    addColumnFunc(tr, context, context.col + 1);
+    selectCellFunc(tr, context.tablePos, context.row, context.col + 1, true);
+    return true;
+});
+
+/**
+ * Delete the selected column, or the whole table if it is the last column
+ *
+ * @type {Command}
+ */
+export const deleteColumn = tableCommand((tr, context) => {
+    const { table, tablePos, row, col } = context;
+    if (table.firstChild.childCount <= 1) {
+        return deleteTableFunc(tr, context);
+    }
+
+    // Delete from the last row up so earlier positions stay valid
+    for (let r = table.childCount - 1; r >= 0; r--) {
+        const rowNode = table.child(r);
+        if (col >= rowNode.childCount) continue;
+        const pos = cellPosition(table, tablePos, r, col);
+        tr.delete(pos, pos + rowNode.child(col).nodeSize);
+    }
+    selectCellFunc(tr, tablePos, row, Math.max(0, col - 1), true);
+    return true;
+});
+
+/**
+ * Delete the table containing the selection
+ *
+ * @type {Command}
+ */
+export const deleteTable = tableCommand(deleteTableFunc);
+
+/**
+ * Set the alignment of the selected column
+ *
+ * @param {string|null} align - 'left', 'center', 'right' or null for default
+ * @returns {Command} Column alignment command
+ */
+export function setColumnAlign(align) {
+    return tableCommand((tr, context) => {
+        const { table, tablePos, col } = context;
+        table.forEach((rowNode, _, r) => {
+            if (col >= rowNode.childCount) return;
+            const cell = rowNode.child(col);
+            tr.setNodeMarkup(cellPosition(table, tablePos, r, col), null, { ...cell.attrs, align });
+        });
+        return true;
+    });
+}
+
+// ============================================================================
+// Helper Functions - Table Structure Analysis
+// ============================================================================
+
+/**
+ * Find the table, row and column around a position
+ *
+ * @param {ResolvedPos} $pos - Position inside the table
+ * @returns {TableContext|null} Table context, or null when not in a table
+ */
+export function findTableContext($pos) {
+    for (let d = $pos.depth; d > 1; d--) {
+        const role = $pos.node(d).type.spec.tableRole;
+        if (role === 'cell' || role === 'header_cell') {
+            return {
+                table: $pos.node(d - 2),
+                tablePos: $pos.before(d - 2),
+                row: $pos.index(d - 2),
+                col: $pos.index(d - 1)
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the position directly before a row
+ *
+ * @param {Node} table - The table node
+ * @param {number} tablePos - Position before the table
+ * @param {number} row - Row index
+ * @returns {number} Position before the row
+ */
+function rowPosition(table, tablePos, row) {
+    let pos = tablePos + 1;
+    for (let r = 0; r < row; r++) pos += table.child(r).nodeSize;
+    return pos;
+}
+
+/**
+ * Get the position directly before a cell
+ *
+ * @param {Node} table - The table node
+ * @param {number} tablePos - Position before the table
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {number} Position before the cell
+ */
+function cellPosition(table, tablePos, row, col) {
+    const rowNode = table.child(row);
+    let pos = rowPosition(table, tablePos, row) + 1;
+    for (let c = 0; c < Math.min(col, rowNode.childCount); c++) pos += rowNode.child(c).nodeSize;
+    return pos;
+}
+
+// ============================================================================
+// Helper Functions - Table Transformation
+// ============================================================================
+
+/**
+ * Wrap a transaction function that needs the table around the selection
+ *
+ * @param {function(Transaction, TableContext): boolean} func - Table transformation
+ * @returns {Command} ProseMirror command
+ */
+function tableCommand(func) {
+    return cmd((state, dispatch) => {
+        const context = findTableContext(state.selection.$head);
+        if (!context) return false;
+
+        const tr = state.tr;
+        if (!func(tr, context)) return false;
+        if (dispatch) dispatch(tr.scrollIntoView());
+        return true;
+    });
+}
+
+/**
+ * Insert an empty body row, copying column alignment from the header
+ *
+ * @param {Transaction} tr - The transaction to modify
+ * @param {TableContext} context - Table context
+ * @param {number} index - Row index to insert at (never 0)
+ */
+function addRowFunc(tr, context, index) {
+    const { table, tablePos } = context;
+    const schema = table.type.schema;
+    const cells = [];
+    table.firstChild.forEach(header => {
+        cells.push(schema.nodes.table_cell.createAndFill({ align: header.attrs.align }));
+    });
+    tr.insert(rowPosition(table, tablePos, index), schema.nodes.table_row.create(null, cells));
+}
+
+/**
+ * Insert an empty column in every row
+ *
+ * @param {Transaction} tr - The transaction to modify
+ * @param {TableContext} context - Table context
+ * @param {number} col - Column index to insert at
+ */
+function addColumnFunc(tr, context, col) {
+    const { table, tablePos } = context;
+    const { table_header, table_cell } = table.type.schema.nodes;
+
+    // Insert from the last row up so earlier positions stay valid
+    for (let r = table.childCount - 1; r >= 0; r--) {
+        const cellType = r === 0 ? table_header : table_cell;
+        tr.insert(cellPosition(table, tablePos, r, col), cellType.createAndFill());
+    }
+}
+
+/**
+ * Delete the whole table
+ *
+ * @param {Transaction} tr - The transaction to modify
+ * @param {TableContext} context - Table context
+ * @returns {boolean} Always true
+ */
+function deleteTableFunc(tr, context) {
+    const { table, tablePos } = context;
+    tr.delete(tablePos, tablePos + table.nodeSize);
+    return true;
+}
+
+/**
+ * Select a cell in the (possibly modified) table at `tablePos`
+ *
+ * @param {Transaction} tr - The transaction to modify
+ * @param {number} tablePos - Position before the table, in the original document
+ * @param {number} row - Row index in the modified table
+ * @param {number} col - Column index in the modified table
+ * @param {boolean} [collapse=false] - Place the cursor at the cell start instead of selecting its content
+ */
+function selectCellFunc(tr, tablePos, row, col, collapse = false) {
+    const pos = tr.mapping.map(tablePos, -1);
+    const table = tr.doc.nodeAt(pos);
+    if (!table || table.type.spec.tableRole !== 'table') return;
+
+    row = Math.min(row, table.childCount - 1);
+    col = Math.min(col, table.child(row).childCount - 1);
+    const cellPos = cellPosition(table, pos, row, col);
+    const cell = tr.doc.nodeAt(cellPos);
+    const start = cellPos + 1;
+    tr.setSelection(TextSelection.create(tr.doc, start, collapse ? start : start + cell.content.size));
+}
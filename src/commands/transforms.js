@@ -1,4 +1,4 @@
-import { canJoin, ReplaceAroundStep, ReplaceStep } from 'prosemirror-transform';
+import { canJoin, ReplaceAroundStep, ReplaceStep, Transform } from 'prosemirror-transform';
 import { Fragment, Slice } from 'prosemirror-model';
 
 /**
@@ -113,3 +113,60 @@ export function deleteBarrierFunc(tr, $cut) {
 
     return doJoinFunc(tr, $cut);
 }
+
+/**
+ * Turn the transaction's document into another one by replacing only what
+ * differs: the top-level blocks both share at the start and end are kept,
+ * and the replaced range is narrowed to the first and last differing
+ * position, so positions outside the change map through unchanged
+ *
+ * @param {Transform} tr - The transaction to modify
+ * @param {import('prosemirror-model').Node} doc - Document to turn it into
+ * @returns {boolean} True if anything changed
+ */
+export function replaceChangedFunc(tr, doc) {
+    const current = tr.doc;
+
+    // Common prefix and suffix of top-level blocks
+    let start = 0, startPos = 0;
+    const min = Math.min(current.childCount, doc.childCount);
+    while (start < min && current.child(start).eq(doc.child(start))) {
+        startPos += current.child(start).nodeSize;
+        start++;
+    }
+    if (start === current.childCount && start === doc.childCount) return false;
+
+    let endA = current.childCount, endB = doc.childCount;
+    let endPosA = current.content.size, endPosB = doc.content.size;
+    while (endA > start && endB > start && current.child(endA - 1).eq(doc.child(endB - 1))) {
+        endA--;
+        endB--;
+        endPosA -= current.child(endA).nodeSize;
+        endPosB -= doc.child(endB).nodeSize;
+    }
+
+    // Narrow to the differing positions inside the changed blocks
+    const fragmentA = current.content.cut(startPos, endPosA);
+    const fragmentB = doc.content.cut(startPos, endPosB);
+    const from = fragmentA.findDiffStart(fragmentB, startPos);
+    const end = fragmentA.findDiffEnd(fragmentB, endPosA, endPosB);
+    if (from !== null && end) {
+        let { a: toA, b: toB } = end;
+        // Repeated content can make the two ends overlap
+        const overlap = from - Math.min(toA, toB);
+        if (overlap > 0) {
+            toA += overlap;
+            toB += overlap;
+        }
+
+        const trial = new Transform(current).replace(from, toA, doc.slice(from, toB));
+        if (trial.doc.eq(doc)) {
+            trial.steps.forEach(step => tr.step(step));
+            return true;
+        }
+    }
+
+    // The narrowed slice didn't fit back exactly; replace the whole blocks instead
+    tr.replaceWith(startPos, endPosA, doc.content.cut(startPos, endPosB));
+    return true;
+}
@@ -0,0 +1,769 @@
+import { ProseMirrorView } from './editor/wysiwyg-view.js';
+import { MarkdownView } from './editor/markdown-view.js';
+import { ScrollSync } from './editor/scroll-sync.js';
+import { DocumentHistory } from './editor/history.js';
+import { FRONT_MATTER_FENCES, parseFrontMatter, stringifyFrontMatter } from './markdown/front-matter.js';
+import { matchFrontMatter } from './markdown/plugins/front-matter.js';
+import { PositionMap } from './markdown/position-map.js';
+import { createMarkdownFormat } from './markdown/extensions.js';
+
+/**
+ * @typedef {Object} EditorOptions
+ * @property {string} [markdown=''] - Initial markdown
+ * @property {Array<'wysiwyg'|'markdown'>} [views=['wysiwyg']] - Panes shown at first
+ * @property {boolean|HTMLElement} [modeSwitcher=true] - Build the checkboxes
+ *     switching panes above the editor, or bind to existing ones inside an
+ *     element: `input[data-view]` for the panes and `input[name="scroll-sync"]`
+ * @property {import('./markdown/extensions.js').MarkdownExtension[]} [extensions] -
+ *     Custom nodes and marks, each with its markdown syntax and editing UI
+ * @property {boolean} [toolbar=true] - Show the formatting toolbar of the WYSIWYG pane
+ * @property {boolean} [readOnly=false] - Show the document without letting the user edit it
+ * @property {boolean} [autofocus=true] - Focus the editor once created
+ * @property {boolean} [scrollSync=true] - Keep side-by-side panes scrolled together
+ * @property {import('prosemirror-state').Plugin[]} [plugins] - Extra plugins
+ *     for the WYSIWYG pane, working on its schema (`editor.format.schema`)
+ * @property {Object<string, Function>} [nodeViews] - Extra node views for the WYSIWYG pane
+ * @property {(file: File) => Promise<string>} [uploadImage] - Upload an image
+ *     file dropped or pasted into the WYSIWYG pane and resolve to its URL;
+ *     images are embedded as data URLs by default
+ * @property {(event: ChangeEvent) => void} [onChange] - Called after each
+ *     edit, like `on('change', ...)`
+ */
+
+/**
+ * Events emitted by the editor, see `EditorManager.on`
+ *
+ * @typedef {Object} ChangeEvent - `change`: the document was edited
+ * @property {string} markdown - Markdown after the edit
+ * @property {'wysiwyg'|'markdown'|'history'} origin - Pane the edit was made
+ *     in, or `'history'` for undo and redo
+ *
+ * @typedef {Object} SelectionChangeEvent - `selectionChange`: the selection
+ *     moved, by the user or with an edit
+ * @property {'wysiwyg'|'markdown'} origin - Pane the selection is in
+ * @property {number} anchor - Document position, or markdown offset in the markdown pane
+ * @property {number} head - Document position, or markdown offset in the markdown pane
+ *
+ * @typedef {Object} EditorFocusEvent - `focus` and `blur`: focus moved into or out
+ *     of the editor; moving between its panes emits neither
+ * @property {'wysiwyg'|'markdown'|null} origin - Pane gaining or losing focus,
+ *     null for the mode switcher
+ *
+ * @typedef {Object} ViewModeChangeEvent - `viewModeChange`: panes were shown or hidden
+ * @property {Array<'wysiwyg'|'markdown'>} views - Panes now shown
+ * @property {boolean} sideBySide - Whether both panes are shown
+ *
+ * @typedef {Object} SaveEvent - `save`: Mod-S was pressed in a pane or
+ *     `save()` was called
+ * @property {string} markdown - Markdown to save
+ *
+ * @typedef {Object} EditorErrorEvent - `error`: an edit was refused because
+ *     the markdown could not hold it, like a front matter line reading as its fence
+ * @property {Error} error - Why the edit was refused
+ * @property {'wysiwyg'} origin - Pane the edit was made in, only the WYSIWYG pane refuses edits
+ *
+ * @typedef {Object} UploadErrorEvent - `uploadError`: an image file dropped or
+ *     pasted into the editor failed to upload and was not inserted
+ * @property {Error} error - Error the upload was rejected with
+ * @property {File} file - File that failed to upload
+ */
+
+/**
+ * Editor with a WYSIWYG and a markdown pane, shown alone or side by side and
+ * kept in sync
+ */
+export class EditorManager {
+    /**
+     * @param {HTMLElement} target - Element to build the editor in
+     * @param {string} [initialContent=''] - Initial markdown
+     * @param {EditorOptions} [options] - Editor options; `options.markdown` is ignored
+     */
+    constructor(target, initialContent = '', options = {}) {
+        this.target = target;
+        this.initialContent = initialContent;
+        this.options = options;
+        
+        // Schema, parser and serializer, with the extensions composed in
+        this.format = createMarkdownFormat(options.extensions);
+        
+        // Persistent view instances
+        this.wysiwygView = null;
+        this.markdownView = null;
+        
+        // Track active views and layout
+        this.activeViews = new Set(['wysiwyg']); // Start with WYSIWYG only
+        this.isSyncing = false; // Prevent sync loops
+        this.positionMap = null; // Pairs WYSIWYG positions with markdown offsets
+        this.handlers = new Map(); // Event listeners by event name
+        this.cleanups = []; // Undo listeners added outside the editor's own elements
+        this.viewMode = null; // Active views as last reported by viewModeChange
+        this.readOnly = false;
+        
+        // One undo history for edits made in either pane
+        this.history = new DocumentHistory(snapshot => this.restoreSnapshot(snapshot));
+        
+        // Create containers for views
+        this.createViewContainers();
+        
+        // Initialize with WYSIWYG view
+        this.initializeViews();
+        
+        // Keep side-by-side panes scrolled to the same place
+        this.scrollSync = new ScrollSync(this.wysiwygContainer, this.markdownContainer, () => this.getScrollAnchors());
+        this.scrollSync.setEnabled(options.scrollSync !== false);
+        
+        if (options.onChange) this.on('change', options.onChange);
+        
+        // Set up view switching and focus listeners
+        this.setupViewListeners();
+        this.setupFocusListeners();
+        
+        if (options.readOnly) this.setReadOnly(true);
+        
+        // Show the requested panes and update layout
+        this.setViews(options.views || ['wysiwyg'], { focus: options.autofocus !== false });
+    }
+    
+    createViewContainers() {
+        // Create the view containers inside the target
+        this.target.innerHTML = '';
+        this.target.classList.add('prosemirror-md');
+        
+        // Optional mode switcher built into the editor
+        this.modeSwitcher = null;
+        if (this.options.modeSwitcher === undefined || this.options.modeSwitcher === true) {
+            this.modeSwitcher = this.createModeSwitcher();
+            this.target.appendChild(this.modeSwitcher);
+        } else if (this.options.modeSwitcher) {
+            this.modeSwitcher = this.options.modeSwitcher;
+        }
+        
+        this.container = document.createElement('div');
+        this.container.className = 'editor-container';
+        this.target.appendChild(this.container);
+        
+        // WYSIWYG container
+        this.wysiwygContainer = document.createElement('div');
+        this.wysiwygContainer.className = 'editor-pane wysiwyg-pane';
+        this.wysiwygContainer.style.display = 'block';
+        
+        // Markdown container  
+        this.markdownContainer = document.createElement('div');
+        this.markdownContainer.className = 'editor-pane markdown-pane';
+        this.markdownContainer.style.display = 'none';
+        
+        this.container.appendChild(this.wysiwygContainer);
+        this.container.appendChild(this.markdownContainer);
+    }
+    
+    /**
+     * Build the checkboxes switching between the panes
+     * @returns {HTMLElement} Mode switcher
+     */
+    createModeSwitcher() {
+        const switcher = document.createElement('div');
+        switcher.className = 'mode-switcher editor-mode-switcher';
+        
+        const addCheckbox = (label, attributes, title) => {
+            const element = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            for (const [name, value] of Object.entries(attributes)) input.setAttribute(name, value);
+            element.append(input, ` ${label}`);
+            if (title) element.title = title;
+            switcher.appendChild(element);
+        };
+        addCheckbox('WYSIWYG', { name: 'view', 'data-view': 'wysiwyg' });
+        addCheckbox('Markdown', { name: 'view', 'data-view': 'markdown' });
+        addCheckbox('Sync scroll', { name: 'scroll-sync' }, 'Keep the panes scrolled to the same place when shown side by side');
+        return switcher;
+    }
+    
+    initializeViews() {
+        // Create WYSIWYG view (starts active)
+        this.wysiwygView = new ProseMirrorView(this.wysiwygContainer, this.initialContent, {
+            format: this.format,
+            toolbar: this.options.toolbar !== false,
+            plugins: this.options.plugins,
+            nodeViews: this.options.nodeViews,
+            uploadImage: this.options.uploadImage
+        });
+        this.wysiwygView.history = this.history;
+        this.history.reset(this.createSnapshot('wysiwyg', this.wysiwygView.getContent()));
+        
+        // Set up sync listeners
+        this.setupSyncListeners();
+    }
+    
+    createMarkdownView() {
+        if (!this.markdownView) {
+            // Get current content from WYSIWYG
+            const content = this.wysiwygView ? this.wysiwygView.getContent() : this.initialContent;
+            this.markdownView = new MarkdownView(this.markdownContainer, content);
+            this.markdownView.history = this.history;
+            this.markdownView.setEditable(!this.readOnly);
+            
+            // Set up sync listeners for new view
+            this.setupSyncListeners();
+        }
+    }
+    
+    setupSyncListeners() {
+        // WYSIWYG → Markdown sync
+        if (this.wysiwygView) {
+            this.wysiwygView.onContentChange = (content, source) => {
+                // Skip sync if content change came from sync operation or undo
+                if (source === 'sync' || source === 'history') return;
+                
+                this.history.record(this.createSnapshot('wysiwyg', content), 'wysiwyg');
+                this.emit('change', { markdown: content, origin: 'wysiwyg' });
+                this.emit('selectionChange', { origin: 'wysiwyg', ...this.wysiwygView.getSelection() });
+                
+                // Skip sync if composition is active in WYSIWYG view
+                if (this.wysiwygView.isComposing()) {
+                    return;
+                }
+                
+                if (this.markdownView && this.activeViews.has('markdown') && !this.isSyncing) {
+                    this.isSyncing = true;
+                    this.markdownView.setContent(content, { source: 'sync' });
+                    this.isSyncing = false;
+                    this.scrollSync.invalidate();
+                    this.mirrorSelection('wysiwyg');
+                }
+            };
+            this.wysiwygView.onSelectionChange = selection => {
+                this.history.select({ view: 'wysiwyg', ...selection });
+                this.mirrorSelection('wysiwyg');
+                this.emit('selectionChange', { origin: 'wysiwyg', ...selection });
+            };
+            this.wysiwygView.onSave = () => this.save();
+            this.wysiwygView.onUploadError = (error, file) => this.emit('uploadError', { error, file });
+            this.wysiwygView.onEditError = error => this.emit('error', { error, origin: 'wysiwyg' });
+        }
+        
+        // Markdown → WYSIWYG sync
+        if (this.markdownView) {
+            this.markdownView.onContentChange = (content, source) => {
+                // Skip sync if content change came from sync operation or undo
+                if (source === 'sync' || source === 'history') return;
+                
+                // Skip sync if composition is active in markdown view
+                if (!this.markdownView.isComposing() && this.wysiwygView && this.activeViews.has('wysiwyg') && !this.isSyncing) {
+                    this.isSyncing = true;
+                    this.wysiwygView.updateContent(content, { preserveHistory: true, source: 'sync' });
+                    this.isSyncing = false;
+                    this.scrollSync.invalidate();
+                    this.mirrorSelection('markdown');
+                }
+                
+                // Recorded after the sync, so the snapshot has the updated document
+                this.history.record(this.createSnapshot('markdown', content), 'markdown');
+                this.emit('change', { markdown: content, origin: 'markdown' });
+                this.emit('selectionChange', { origin: 'markdown', ...this.markdownView.getSelection() });
+            };
+            this.markdownView.onSelectionChange = selection => {
+                this.history.select({ view: 'markdown', ...selection });
+                this.mirrorSelection('markdown');
+                this.emit('selectionChange', { origin: 'markdown', ...selection });
+            };
+            this.markdownView.onSave = () => this.save();
+        }
+    }
+    
+    /**
+     * Capture the document for the shared history
+     * @param {'wysiwyg'|'markdown'} origin - Pane the selection is taken from
+     * @param {string} markdown - Current markdown
+     * @returns {import('./editor/history.js').HistorySnapshot} Snapshot
+     */
+    createSnapshot(origin, markdown) {
+        const view = origin === 'wysiwyg' ? this.wysiwygView : this.markdownView;
+        // The WYSIWYG document only matches markdown typed in the other pane once synced
+        const synced = origin === 'wysiwyg' || (this.activeViews.has('wysiwyg') && !this.markdownView.isComposing());
+        return {
+            markdown,
+            doc: synced ? this.wysiwygView.getDocument() : null,
+            selection: { view: origin, ...view.getSelection() }
+        };
+    }
+    
+    /**
+     * Put a snapshot from the shared history into both panes
+     * @param {import('./editor/history.js').HistorySnapshot} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        this.isSyncing = true;
+        if (this.wysiwygView) {
+            const options = { preserveHistory: true, source: 'history', addToHistory: false };
+            if (snapshot.doc) this.wysiwygView.replaceDocument(snapshot.doc, options);
+            else this.wysiwygView.updateContent(snapshot.markdown, options);
+        }
+        if (this.markdownView) {
+            this.markdownView.setContent(snapshot.markdown, { source: 'history' });
+        }
+        this.isSyncing = false;
+        this.scrollSync.invalidate();
+        
+        // Put the selection back where it was and mirror it to the other pane
+        const { selection } = snapshot;
+        if (selection && selection.view === 'wysiwyg') {
+            this.wysiwygView.setSelection(selection.anchor, selection.head);
+            this.mirrorSelection('wysiwyg');
+        } else if (selection && this.markdownView) {
+            this.markdownView.setSelection(selection.anchor, selection.head);
+            this.mirrorSelection('markdown');
+        }
+        
+        this.emit('change', { markdown: snapshot.markdown, origin: 'history' });
+    }
+    
+    /**
+     * Undo the last edit, whichever pane it was made in
+     * @returns {boolean} False if there is nothing to undo
+     */
+    undo() {
+        return !this.readOnly && this.history.undo();
+    }
+    
+    /**
+     * Redo the last undone edit
+     * @returns {boolean} False if there is nothing to redo
+     */
+    redo() {
+        return !this.readOnly && this.history.redo();
+    }
+    
+    /**
+     * Get the position map between the WYSIWYG document and the markdown text,
+     * rebuilt only when either side changed
+     * @returns {PositionMap} Position map
+     */
+    getPositionMap() {
+        const doc = this.wysiwygView.getDocument();
+        const markdown = this.markdownView.getContent();
+        if (!this.positionMap || this.positionMap.doc !== doc || this.positionMap.markdown !== markdown) {
+            this.positionMap = new PositionMap(doc, markdown, this.format.parser.tokenizer);
+        }
+        return this.positionMap;
+    }
+    
+    /**
+     * Move the selection of the other pane to the place selected in one pane
+     * @param {'wysiwyg'|'markdown'} source - Pane whose selection is mirrored
+     */
+    mirrorSelection(source) {
+        if (!this.wysiwygView || !this.markdownView || !this.isSideBySideMode() || this.isSyncing) return;
+        
+        this.isSyncing = true;
+        const map = this.getPositionMap();
+        if (source === 'wysiwyg') {
+            // A selected range keeps the markup around it outside the selection
+            const { anchor, head } = this.wysiwygView.getSelection();
+            const side = Math.sign(head - anchor);
+            this.markdownView.setSelection(map.toMarkdown(anchor, side), map.toMarkdown(head, -side || -1));
+        } else {
+            const { anchor, head } = this.markdownView.getSelection();
+            this.wysiwygView.setSelection(map.toDoc(anchor), map.toDoc(head));
+        }
+        this.isSyncing = false;
+    }
+    
+    /**
+     * Pair each block's WYSIWYG element with the element of its first source line
+     * @returns {Array<[HTMLElement, HTMLElement]>|null} Anchor elements, null
+     *     unless both panes are shown
+     */
+    getScrollAnchors() {
+        if (!this.wysiwygView || !this.markdownView || !this.isSideBySideMode()) return null;
+        
+        const map = this.getPositionMap();
+        const anchors = [];
+        for (const block of map.blocks) {
+            const wysiwyg = this.wysiwygView.getBlockElement(block.pos);
+            const markdown = this.markdownView.getLineElement(map.lineAt(block.from));
+            if (wysiwyg && markdown) anchors.push([wysiwyg, markdown]);
+        }
+        return anchors;
+    }
+    
+    /**
+     * Turn scroll synchronization between side-by-side panes on or off
+     * @param {boolean} enabled - Whether scrolling one pane scrolls the other
+     */
+    setScrollSync(enabled) {
+        this.scrollSync.setEnabled(enabled);
+        
+        const checkbox = this.querySwitcher('input[name="scroll-sync"]');
+        if (checkbox) checkbox.checked = enabled;
+        
+        if (enabled) this.scrollSync.sync(0);
+    }
+    
+    /**
+     * Find an element of the mode switcher
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement|null} Element, null without a mode switcher
+     */
+    querySwitcher(selector) {
+        return this.modeSwitcher ? this.modeSwitcher.querySelector(selector) : null;
+    }
+    
+    /**
+     * Listen to an element outside the editor's own elements until destroyed
+     * @param {EventTarget} element - Element to listen to
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     */
+    listen(element, type, handler) {
+        element.addEventListener(type, handler);
+        this.cleanups.push(() => element.removeEventListener(type, handler));
+    }
+    
+    setupViewListeners() {
+        if (!this.modeSwitcher) return;
+        
+        this.modeSwitcher.querySelectorAll('input[data-view]').forEach(checkbox => {
+            this.listen(checkbox, 'change', () => {
+                const viewType = checkbox.getAttribute('data-view');
+                
+                if (checkbox.checked) {
+                    this.activateView(viewType);
+                } else {
+                    this.deactivateView(viewType);
+                }
+                
+                this.updateLayout();
+            });
+        });
+        
+        const scrollSyncCheckbox = this.querySwitcher('input[name="scroll-sync"]');
+        if (scrollSyncCheckbox) {
+            scrollSyncCheckbox.checked = this.scrollSync.enabled;
+            this.listen(scrollSyncCheckbox, 'change', () => this.setScrollSync(scrollSyncCheckbox.checked));
+        }
+    }
+    
+    // Report focus entering or leaving the editor as a whole
+    setupFocusListeners() {
+        const paneOf = element => {
+            if (this.wysiwygContainer.contains(element)) return 'wysiwyg';
+            if (this.markdownContainer.contains(element)) return 'markdown';
+            return null;
+        };
+        // The mode switcher counts as part of the editor, wherever it is
+        const isInside = element => !!element && (this.target.contains(element)
+            || (!!this.modeSwitcher && this.modeSwitcher.contains(element)));
+        
+        const roots = [this.target];
+        if (this.modeSwitcher && !this.target.contains(this.modeSwitcher)) roots.push(this.modeSwitcher);
+        for (const root of roots) {
+            this.listen(root, 'focusin', event => {
+                if (!isInside(event.relatedTarget)) this.emit('focus', { origin: paneOf(event.target) });
+            });
+            this.listen(root, 'focusout', event => {
+                if (!isInside(event.relatedTarget)) this.emit('blur', { origin: paneOf(event.target) });
+            });
+        }
+    }
+    
+    // Check the mode switcher boxes of the shown panes
+    updateModeSwitcher() {
+        for (const viewType of ['wysiwyg', 'markdown']) {
+            const checkbox = this.querySwitcher(`input[data-view="${viewType}"]`);
+            if (checkbox) checkbox.checked = this.activeViews.has(viewType);
+        }
+    }
+    
+    activateView(viewType) {
+        if (this.activeViews.has(viewType) && (viewType === 'wysiwyg' || this.markdownView)) {
+            this.updateModeSwitcher();
+            return;
+        }
+        
+        // A hidden pane missed the edits made in the other one
+        const wasHidden = !this.activeViews.has(viewType);
+        this.activeViews.add(viewType);
+        
+        if (viewType === 'markdown' && !this.markdownView) {
+            this.createMarkdownView();
+        }
+        
+        // Show the view container
+        const container = viewType === 'wysiwyg' ? this.wysiwygContainer : this.markdownContainer;
+        container.style.display = 'block';
+        
+        // Sync content when activating
+        this.isSyncing = true;
+        if (viewType === 'markdown' && this.wysiwygView) {
+            this.markdownView.setContent(this.wysiwygView.getContent(), { source: 'sync' });
+        } else if (viewType === 'wysiwyg' && wasHidden && this.markdownView) {
+            this.wysiwygView.updateContent(this.markdownView.getContent(), { preserveHistory: true, source: 'sync' });
+        }
+        this.isSyncing = false;
+        this.mirrorSelection(viewType === 'markdown' ? 'wysiwyg' : 'markdown');
+        this.updateModeSwitcher();
+    }
+    
+    deactivateView(viewType) {
+        // Prevent deactivating all views
+        if (this.activeViews.size <= 1 || !this.activeViews.has(viewType)) {
+            this.updateModeSwitcher();
+            return;
+        }
+        
+        this.activeViews.delete(viewType);
+        
+        // Hide the view container (but don't destroy the view to preserve history)
+        const container = viewType === 'wysiwyg' ? this.wysiwygContainer : this.markdownContainer;
+        container.style.display = 'none';
+        this.updateModeSwitcher();
+    }
+    
+    /**
+     * Show the given panes and hide the others
+     * @param {Array<'wysiwyg'|'markdown'>} views - Panes to show, at least one
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=false] - Focus the shown pane
+     */
+    setViews(views, options = {}) {
+        if (!views.length) return;
+        views.forEach(viewType => this.activateView(viewType));
+        ['wysiwyg', 'markdown'].filter(viewType => !views.includes(viewType))
+            .forEach(viewType => this.deactivateView(viewType));
+        this.updateLayout(options);
+    }
+    
+    /**
+     * Allow or prevent editing by the user; `setMarkdown` still works
+     * @param {boolean} readOnly - Whether the document is read-only
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.wysiwygView.setEditable(!readOnly);
+        if (this.markdownView) this.markdownView.setEditable(!readOnly);
+        // The toolbar is hidden while read-only
+        this.container.classList.toggle('editor-readonly', readOnly);
+    }
+    
+    updateLayout({ focus = true } = {}) {
+        const isSideBySide = this.activeViews.size > 1;
+        
+        if (isSideBySide) {
+            this.container.classList.add('editor-split');
+            this.container.classList.remove('editor-single');
+        } else {
+            this.container.classList.add('editor-single');
+            this.container.classList.remove('editor-split');
+        }
+        
+        // Pane sizes changed, so line the panes up again
+        this.scrollSync.invalidate();
+        if (isSideBySide) this.scrollSync.sync(0);
+        
+        const views = this.getActiveViews();
+        if (this.viewMode !== null && views.join() !== this.viewMode) {
+            this.emit('viewModeChange', { views, sideBySide: isSideBySide });
+        }
+        this.viewMode = views.join();
+        
+        // Focus appropriate view
+        if (focus) this.focusActiveView();
+    }
+    
+    focusActiveView() {
+        if (this.activeViews.has('wysiwyg') && this.wysiwygView) {
+            this.wysiwygView.focus();
+        } else if (this.activeViews.has('markdown') && this.markdownView) {
+            this.markdownView.focus();
+        }
+    }
+    
+    /**
+     * Get the document as markdown
+     * @returns {string} Markdown, as typed if the markdown pane is the only one shown
+     */
+    getMarkdown() {
+        if (this.markdownView && !this.activeViews.has('wysiwyg')) {
+            return this.markdownView.getContent();
+        }
+        return this.wysiwygView ? this.wysiwygView.getContent() : '';
+    }
+    
+    /**
+     * Replace the document, starting a new undo history
+     * @param {string} markdown - New markdown
+     */
+    setMarkdown(markdown) {
+        this.setContent(markdown);
+    }
+    
+    getCurrentContent() {
+        return this.getMarkdown();
+    }
+    
+    setContent(content) {
+        this.isSyncing = true;
+        
+        if (this.wysiwygView) {
+            this.wysiwygView.setContent(content);
+        }
+        if (this.markdownView) {
+            this.markdownView.setContent(content);
+        }
+        
+        this.isSyncing = false;
+        this.scrollSync.invalidate();
+        this.history.reset(this.createSnapshot('wysiwyg', this.getCurrentContent()));
+    }
+    
+    /**
+     * Read the document's front matter as an object
+     * @returns {Object|null} Metadata, or null if the document has no front matter
+     * @throws {Error} If the front matter is not valid YAML/TOML
+     */
+    getFrontMatter() {
+        const frontMatter = this.readFrontMatter();
+        return frontMatter ? parseFrontMatter(frontMatter.text, frontMatter.markup) : null;
+    }
+    
+    /**
+     * Replace the document's front matter with the given metadata
+     * @param {Object|null} data - Metadata, or null to remove the front matter
+     * @param {Object} [options]
+     * @param {'yaml'|'toml'} [options.format] - Format to write, defaults to the current one or YAML
+     */
+    setFrontMatter(data, options = {}) {
+        const current = this.readFrontMatter();
+        const markup = options.format ? FRONT_MATTER_FENCES[options.format]
+            : current ? current.markup : FRONT_MATTER_FENCES.yaml;
+        const text = data === null ? null : stringifyFrontMatter(data, markup);
+        
+        if (this.activeViews.has('wysiwyg') || !this.markdownView) {
+            // The sync listener carries the change over to the markdown pane
+            this.wysiwygView.setFrontMatter(text, markup);
+            return;
+        }
+        
+        // Markdown only: rewrite just the leading block of the source
+        const content = this.markdownView.getContent();
+        const match = matchFrontMatter(content);
+        const body = match ? content.slice(match.length) : content;
+        let updated;
+        if (text === null) {
+            updated = body.replace(/^\n+/, '');
+        } else {
+            const block = `${markup}\n${text ? text + '\n' : ''}${markup}\n`;
+            updated = block + (body && !body.startsWith('\n') ? '\n' : '') + body;
+        }
+        this.markdownView.setContent(updated, { preserveCursor: true });
+        this.history.record(this.createSnapshot('markdown', updated), 'markdown');
+        // Setting the content from code doesn't go through the pane's change callback
+        if (updated !== content) this.emit('change', { markdown: this.markdownView.getContent(), origin: 'markdown' });
+    }
+    
+    // Raw front matter from the pane holding the latest content
+    readFrontMatter() {
+        if (this.activeViews.has('wysiwyg') || !this.markdownView) {
+            return this.wysiwygView.getFrontMatter();
+        }
+        const match = matchFrontMatter(this.markdownView.getContent());
+        return match ? { markup: match.markup, text: match.content } : null;
+    }
+    
+    // Get active view types
+    getActiveViews() {
+        return Array.from(this.activeViews);
+    }
+    
+    // Check if side-by-side mode is active
+    isSideBySideMode() {
+        return this.activeViews.size > 1;
+    }
+    
+    /**
+     * Ask the application to save, as Mod-S in either pane does
+     * @returns {string} Markdown passed to the `save` listeners
+     */
+    save() {
+        const markdown = this.getMarkdown();
+        this.emit('save', { markdown });
+        return markdown;
+    }
+    
+    /**
+     * Listen to an editor event: `change`, `selectionChange`, `focus`, `blur`,
+     * `viewModeChange` or `save`, each called with the matching event object
+     * above
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event's details
+     * @returns {EditorManager} This editor, for chaining
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return this;
+    }
+    
+    /**
+     * Stop listening to an editor event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to `on`
+     * @returns {EditorManager} This editor, for chaining
+     */
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) handlers.delete(handler);
+        return this;
+    }
+    
+    // Call the handlers of an event, keeping a failing handler from stopping the others
+    emit(event, detail) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+        for (const handler of [...handlers]) {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${event} handler:`, error);
+            }
+        }
+    }
+    
+    // Remove the editor from the page, leaving the target element empty
+    destroy() {
+        this.scrollSync.destroy();
+        if (this.wysiwygView) this.wysiwygView.destroy();
+        if (this.markdownView) this.markdownView.destroy();
+        this.wysiwygView = null;
+        this.markdownView = null;
+        
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        this.handlers.clear();
+        
+        this.target.innerHTML = '';
+        this.target.classList.remove('prosemirror-md');
+    }
+}
+
+/**
+ * Create an editor in an element
+ *
+ * @example
+ * const editor = createEditor(document.querySelector('#editor'), {
+ *     markdown: '# Hello',
+ *     views: ['wysiwyg', 'markdown'],
+ *     onChange: ({ markdown }) => save(markdown)
+ * });
+ * editor.setMarkdown('# Replaced');
+ * editor.destroy();
+ *
+ * @param {HTMLElement} element - Element to build the editor in; its content is replaced
+ * @param {EditorOptions} [options] - Editor options
+ * @returns {EditorManager} Editor instance with `getMarkdown`, `setMarkdown`,
+ *     `on`, `off` and `destroy`
+ */
+export function createEditor(element, options = {}) {
+    return new EditorManager(element, options.markdown || '', options);
+}
@@ -0,0 +1,134 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Fragment, Slice } from 'prosemirror-model';
+
+/**
+ * Markdown on the clipboard: plain text pasted into the WYSIWYG pane is read
+ * as markdown when it looks like markdown, and copied content is written to
+ * the plain text clipboard as markdown. Mod-Shift-V pastes text literally.
+ */
+
+// Lines starting a heading, quote, list, fence, math block, rule, table row or link definition
+const BLOCK_SYNTAX = /^ {0,3}(?:#{1,6}[ \t]|>|[-*+][ \t]|\d{1,9}[.)][ \t]|```|~~~|\$\$|(?:[-*_][ \t]*){3,}$|\|.*\|[ \t]*$|\[[^\]\n]+\]:[ \t])/m;
+
+// Emphasis, code, links and images, strikethrough, highlight and autolinks
+const INLINE_SYNTAX = /\*\*[^*\n]+\*\*|__[^_\n]+__|(?:^|[\s(])[*_][^*_\s][^*_\n]*[*_](?=[\s).,:;!?]|$)|`[^`\n]+`|!?\[[^\]\n]*\]\([^)\s]+(?:\s+"[^"\n]*")?\)|~~[^~\n]+~~|==[^=\n]+==|<[a-z][a-z\d+.-]*:[^>\s]+>/im;
+
+/**
+ * Guess whether plain text is meant as markdown
+ * @param {string} text - Pasted text
+ * @returns {boolean} Whether it has markdown syntax
+ */
+export function looksLikeMarkdown(text) {
+    return BLOCK_SYNTAX.test(text) || INLINE_SYNTAX.test(text);
+}
+
+/**
+ * Parse markdown into a slice to paste
+ * @param {string} text - Markdown
+ * @param {import('../markdown/extensions.js').MarkdownFormat} format - Markdown format
+ * @returns {Slice} Slice, open into paragraphs at its ends so their text
+ *     joins the paragraphs around the cursor
+ */
+export function markdownToSlice(text, format) {
+    const { content } = format.parse(text);
+    const paragraph = format.schema.nodes.paragraph;
+    const openStart = content.firstChild && content.firstChild.type === paragraph ? 1 : 0;
+    const openEnd = content.lastChild && content.lastChild.type === paragraph ? 1 : 0;
+    return new Slice(content, openStart, openEnd);
+}
+
+/**
+ * Number the copied part of ordered lists from the first copied item, rather
+ * than from the start of the list
+ * @param {Slice} slice - Slice of the document
+ * @param {import('prosemirror-model').ResolvedPos} $from - Start of the slice in the document
+ * @returns {Fragment} Slice content
+ */
+function numberOpenLists(slice, $from) {
+    const fix = (fragment, depth) => {
+        if (depth >= slice.openStart || !fragment.childCount) return fragment;
+        const first = fragment.firstChild;
+        // The node at this depth of the slice starts at $from's index one level down
+        const attrs = first.type.name === 'ordered_list'
+            ? { ...first.attrs, order: first.attrs.order + $from.index(depth + 1) } : first.attrs;
+        return fragment.replaceChild(0, first.type.create(attrs, fix(first.content, depth + 1), first.marks));
+    };
+    return fix(slice.content, 0);
+}
+
+/**
+ * Serialize a slice of a document, such as the copied selection, as markdown
+ * @param {Slice} slice - Slice to serialize
+ * @param {import('../markdown/extensions.js').MarkdownFormat} format - Markdown format
+ * @param {import('prosemirror-model').ResolvedPos} [$from] - Start of the
+ *     slice in the document, to number partly copied ordered lists
+ * @returns {string} Markdown
+ */
+export function sliceToMarkdown(slice, format, $from) {
+    const { schema } = format;
+    const top = schema.topNodeType;
+    let content = $from ? numberOpenLists(slice, $from) : slice.content;
+    let { openStart, openEnd } = slice;
+
+    // Drop the wrappers the selection is inside of, like lists or quotes around
+    // part of one item, as long as what remains could stand on its own
+    const context = [];
+    while (openStart > 1 && openEnd > 1 && content.childCount === 1) {
+        const node = content.firstChild;
+        if (node.childCount !== 1 && !top.validContent(node.content)) break;
+        context.push(node);
+        content = node.content;
+        openStart--;
+        openEnd--;
+    }
+    // Put back the wrappers needed to make a document
+    while (!top.validContent(content) && context.length) content = Fragment.from(context.pop().copy(content));
+
+    // Part of one textblock is copied as its text, without the block's syntax
+    if (content.childCount === 1 && content.firstChild.isTextblock && openStart > 0 && openEnd > 0) {
+        const block = content.firstChild;
+        if (block.type.spec.code) return block.textContent;
+        content = Fragment.from(schema.nodes.paragraph.create(null, block.content));
+    }
+
+    if (!top.validContent(content)) {
+        const wrapping = content.firstChild && top.contentMatch.findWrapping(content.firstChild.type);
+        if (!wrapping) return slice.content.textBetween(0, slice.content.size, '\n\n');
+        for (let i = wrapping.length - 1; i >= 0; i--) content = Fragment.from(wrapping[i].create(null, content));
+    }
+
+    return format.serialize(top.create(null, content));
+}
+
+/**
+ * Plugin reading pasted plain text as markdown and copying as markdown
+ * @param {import('../markdown/extensions.js').MarkdownFormat} format - Markdown format
+ * @returns {Plugin} Clipboard plugin
+ */
+export function markdownClipboard(format) {
+    return new Plugin({
+        key: new PluginKey('markdownClipboard'),
+        props: {
+            // Only called for plain text; `plain` is set for Mod-Shift-V
+            clipboardTextParser(text, $context, plain) {
+                if (plain || !looksLikeMarkdown(text)) return null;
+                try {
+                    return markdownToSlice(text, format);
+                } catch (error) {
+                    console.warn('Failed to parse pasted markdown:', error);
+                    return null;
+                }
+            },
+            clipboardTextSerializer(slice, view) {
+                const { selection } = view.state;
+                const $from = selection.content().eq(slice) ? selection.$from : null;
+                try {
+                    return sliceToMarkdown(slice, format, $from);
+                } catch (error) {
+                    console.warn('Failed to serialize copied content:', error);
+                    return slice.content.textBetween(0, slice.content.size, '\n\n');
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,64 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+import { collectFootnotes, renumberFootnotesFunc } from '../commands/index.js';
+
+/**
+ * Footnote numbering for the WYSIWYG editor
+ * Numbers references and definitions by first reference, and renumbers the
+ * labels whenever a change adds, removes or reorders references
+ */
+
+export const footnotePluginKey = new PluginKey('footnotes');
+
+/**
+ * Decorate footnote references and definitions with their number
+ * @param {import('prosemirror-model').Node} doc - Document node
+ * @returns {DecorationSet} Node decorations carrying `footnoteNumber` in their spec
+ */
+function footnoteDecorations(doc) {
+    const { refs, order, definitions, definitionsPos } = collectFootnotes(doc);
+    const decorations = [];
+
+    for (const { label, pos } of refs) {
+        const number = order.indexOf(label) + 1;
+        decorations.push(Decoration.node(pos, pos + 1, { 'data-number': String(number) }, { footnoteNumber: number }));
+    }
+
+    let pos = definitionsPos;
+    for (const definition of definitions) {
+        const number = order.indexOf(definition.attrs.label) + 1;
+        if (number) {
+            decorations.push(Decoration.node(pos, pos + definition.nodeSize,
+                { 'data-number': String(number) }, { footnoteNumber: number }));
+        }
+        pos += definition.nodeSize;
+    }
+    return DecorationSet.create(doc, decorations);
+}
+
+/**
+ * Create the footnote numbering plugin
+ * @returns {Plugin} Footnote plugin
+ */
+export function footnotePlugin() {
+    return new Plugin({
+        key: footnotePluginKey,
+        state: {
+            init: (_, state) => footnoteDecorations(state.doc),
+            apply: (tr, decorations, _, newState) => tr.docChanged ? footnoteDecorations(newState.doc) : decorations
+        },
+        appendTransaction(transactions, oldState, newState) {
+            if (!transactions.some(tr => tr.docChanged)) return null;
+            // Content synced from the markdown pane keeps its labels as typed there
+            if (transactions.some(tr => tr.getMeta('source') === 'sync')) return null;
+
+            const tr = newState.tr;
+            return renumberFootnotesFunc(tr, oldState.doc) ? tr : null;
+        },
+        props: {
+            decorations(state) {
+                return footnotePluginKey.getState(state);
+            }
+        }
+    });
+}
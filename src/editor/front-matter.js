@@ -0,0 +1,32 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { hasFenceLine } from '../markdown/front-matter.js';
+
+/**
+ * Front matter editing in the WYSIWYG editor
+ * The block is written between fence lines, so a line of its own reading
+ * like the fence would end it early and turn the rest of the metadata into
+ * document content. Edits making one are refused.
+ */
+
+export const frontMatterGuardKey = new PluginKey('frontMatterGuard');
+
+/**
+ * Create the plugin refusing edits that put a fence line inside the front matter
+ * @param {Object} [options]
+ * @param {(error: Error) => void} [options.onReject] - Called with the reason
+ *     when an edit is refused
+ * @returns {Plugin} Front matter guard plugin
+ */
+export function frontMatterGuardPlugin({ onReject } = {}) {
+    return new Plugin({
+        key: frontMatterGuardKey,
+        filterTransaction(tr) {
+            if (!tr.docChanged) return true;
+            const first = tr.doc.firstChild;
+            if (!first || first.type.name !== 'front_matter' || !hasFenceLine(first.textContent, first.attrs.markup)) return true;
+
+            if (onReject) onReject(new Error(`Front matter can't hold a line reading ${first.attrs.markup}, which would end it`));
+            return false;
+        }
+    });
+}
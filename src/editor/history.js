@@ -0,0 +1,151 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { undo, redo } from 'prosemirror-history';
+
+/**
+ * Shared undo history for the WYSIWYG and markdown panes
+ *
+ * Each pane keeps its own `prosemirror-history`, but sync writes every edit
+ * into both, so their stacks disagree about what the last edit was. The
+ * document history instead records snapshots of the whole document after
+ * each edit, from whichever pane it was typed in, and undo restores them in
+ * both panes at once. A snapshot keeps the markdown as typed, so undoing a
+ * change that only the markdown shows, such as `*` to `_`, works too.
+ */
+
+/**
+ * @typedef {Object} HistorySelection
+ * @property {'wysiwyg'|'markdown'} view - Pane the positions refer to
+ * @property {number} anchor - Document position or markdown offset
+ * @property {number} head - Document position or markdown offset
+ *
+ * @typedef {Object} HistorySnapshot
+ * @property {string} markdown - Markdown source
+ * @property {import('prosemirror-model').Node|null} doc - WYSIWYG document,
+ *     null if it is to be parsed from the markdown
+ * @property {HistorySelection|null} selection - Selection at the time
+ */
+
+export class DocumentHistory {
+    /**
+     * @param {(snapshot: HistorySnapshot) => void} restore - Puts a snapshot in both panes
+     * @param {Object} [options]
+     * @param {number} [options.depth=100] - Number of undo steps kept
+     * @param {number} [options.groupDelay=500] - Edits in one pane closer together
+     *     than this many milliseconds are undone as one step
+     */
+    constructor(restore, { depth = 100, groupDelay = 500 } = {}) {
+        this.restore = restore;
+        this.depth = depth;
+        this.groupDelay = groupDelay;
+        this.done = [];
+        this.undone = [];
+        this.current = null;
+        this.lastEdit = null;
+    }
+
+    /**
+     * Start over from a document, forgetting all steps
+     * @param {HistorySnapshot} snapshot - Current document
+     */
+    reset(snapshot) {
+        this.done = [];
+        this.undone = [];
+        this.current = snapshot;
+        this.lastEdit = null;
+    }
+
+    /**
+     * Record an edit
+     * @param {HistorySnapshot} snapshot - Document after the edit
+     * @param {string} origin - Pane the edit was made in
+     */
+    record(snapshot, origin) {
+        if (this.current && snapshot.markdown === this.current.markdown) {
+            // Nothing the markdown shows changed, e.g. a mark with no syntax
+            this.current = { ...snapshot, selection: this.current.selection };
+            return;
+        }
+
+        const time = Date.now();
+        const last = this.lastEdit;
+        if (!(last && last.origin === origin && time - last.time < this.groupDelay) && this.current) {
+            this.done.push(this.current);
+            if (this.done.length > this.depth) this.done.shift();
+        }
+        this.undone = [];
+        this.current = snapshot;
+        this.lastEdit = { origin, time };
+    }
+
+    /**
+     * Remember where the selection is, so undoing the next edit restores it
+     * @param {HistorySelection} selection - Current selection
+     */
+    select(selection) {
+        if (this.current) this.current = { ...this.current, selection };
+        // Moving the selection ends the group of edits being typed
+        this.lastEdit = null;
+    }
+
+    canUndo() {
+        return this.done.length > 0;
+    }
+
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    undo() {
+        return this.step(this.done, this.undone);
+    }
+
+    redo() {
+        return this.step(this.undone, this.done);
+    }
+
+    step(from, to) {
+        if (!from.length) return false;
+        to.push(this.current);
+        this.current = from.pop();
+        this.lastEdit = null;
+        this.restore(this.current);
+        return true;
+    }
+}
+
+const sharedHistoryKey = new PluginKey('sharedHistory');
+
+/**
+ * Plugin pointing a view's undo and redo commands at a shared history
+ * @param {() => DocumentHistory|null} getHistory - Shared history, null to
+ *     use the view's own `prosemirror-history`
+ * @returns {Plugin} Shared history plugin
+ */
+export function sharedHistory(getHistory) {
+    return new Plugin({ key: sharedHistoryKey, getHistory });
+}
+
+/**
+ * Create an undo or redo command using the shared history if there is one
+ * @param {number} direction - -1 for undo, 1 for redo
+ * @param {import('prosemirror-state').Command} fallback - Command for the
+ *     view's own history
+ * @returns {import('prosemirror-state').Command} History command
+ */
+function historyCommand(direction, fallback) {
+    return (state, dispatch, view) => {
+        const plugin = sharedHistoryKey.get(state);
+        const history = plugin && plugin.spec.getHistory();
+        if (!history) return fallback(state, dispatch, view);
+
+        if (!(direction < 0 ? history.canUndo() : history.canRedo())) return false;
+        if (dispatch) {
+            if (direction < 0) history.undo();
+            else history.redo();
+        }
+        return true;
+    };
+}
+
+export const sharedUndo = historyCommand(-1, undo);
+export const sharedRedo = historyCommand(1, redo);
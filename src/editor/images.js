@@ -0,0 +1,181 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+
+/**
+ * Images in the WYSIWYG editor
+ * An image with a title standing alone in its paragraph shows as a figure,
+ * with the title as its caption. Image files dropped or pasted into the
+ * editor are uploaded and inserted where they were put.
+ */
+
+export const imageFigureKey = new PluginKey('imageFigures');
+export const imageUploadKey = new PluginKey('imageUpload');
+
+/**
+ * Decorate images shown as figures
+ * @param {import('prosemirror-model').Node} doc - Document node
+ * @returns {DecorationSet} Node decorations carrying `imageFigure` in their spec
+ */
+function figureDecorations(doc) {
+    const decorations = [];
+    doc.descendants((node, pos) => {
+        if (!node.isTextblock) return true;
+        const image = node.childCount === 1 ? node.firstChild : null;
+        if (node.type.name === 'paragraph' && image && image.type.name === 'image' && image.attrs.title) {
+            decorations.push(Decoration.node(pos + 1, pos + 1 + image.nodeSize, {}, { imageFigure: true }));
+        }
+        return false;
+    });
+    return DecorationSet.create(doc, decorations);
+}
+
+/**
+ * Create the image figure plugin
+ * @returns {Plugin} Image figure plugin
+ */
+export function imageFigurePlugin() {
+    return new Plugin({
+        key: imageFigureKey,
+        state: {
+            init: (_, state) => figureDecorations(state.doc),
+            apply: (tr, decorations, _, newState) => tr.docChanged ? figureDecorations(newState.doc) : decorations
+        },
+        props: {
+            decorations(state) {
+                return imageFigureKey.getState(state);
+            }
+        }
+    });
+}
+
+/**
+ * Embed an image file in the document as a data URL
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Data URL
+ */
+export function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Image files in a drop or paste
+ * @param {DataTransfer|null} data - Dropped or pasted data
+ * @returns {File[]} Image files
+ */
+function imageFiles(data) {
+    return data ? Array.from(data.files || []).filter(file => /^image\//.test(file.type)) : [];
+}
+
+/**
+ * Find where an upload's placeholder is now
+ * @param {import('prosemirror-state').EditorState} state - Editor state
+ * @param {Object} id - Upload id
+ * @returns {number|null} Position, null if the placeholder is gone
+ */
+function findPlaceholder(state, id) {
+    const found = imageUploadKey.getState(state).find(null, null, spec => spec.id === id);
+    return found.length ? found[0].from : null;
+}
+
+function placeholderWidget(file) {
+    const widget = document.createElement('span');
+    widget.className = 'image-upload-placeholder';
+    widget.textContent = `Uploading ${file.name || 'image'}…`;
+    return widget;
+}
+
+/**
+ * Upload image files and insert them at a position, showing a placeholder
+ * there until each is done
+ * @param {import('prosemirror-view').EditorView} view - Editor view
+ * @param {File[]} files - Image files
+ * @param {number} pos - Position to insert at, before the changes of `tr`
+ * @param {import('prosemirror-state').Transaction} tr - Transaction to add
+ *     the placeholders to, e.g. after deleting the selection they replace
+ * @param {ImageUploadOptions} options - Upload hook and error handler
+ */
+function uploadImages(view, files, pos, tr, { uploadImage, onError }) {
+    const uploads = files.map(file => ({ file, id: {}, pos: tr.mapping.map(pos) }));
+    view.dispatch(tr.setMeta(imageUploadKey, { add: uploads }));
+
+    for (const { file, id } of uploads) {
+        Promise.resolve().then(() => uploadImage(file)).then(src => {
+            if (view.isDestroyed) return;
+            const at = findPlaceholder(view.state, id);
+            // The placeholder was deleted along with the content around it
+            if (at === null) return;
+            const image = view.state.schema.nodes.image.create({ src, alt: file.name ? file.name.replace(/\.[^.]*$/, '') : null });
+            view.dispatch(view.state.tr.replaceWith(at, at, image).setMeta(imageUploadKey, { remove: { id } }));
+        }, error => {
+            if (view.isDestroyed) return;
+            view.dispatch(view.state.tr.setMeta(imageUploadKey, { remove: { id } }));
+            onError(error, file);
+        });
+    }
+}
+
+/**
+ * @typedef {Object} ImageUploadOptions
+ * @property {(file: File) => Promise<string>} [uploadImage] - Upload an image
+ *     file and resolve to its URL, embedding it as a data URL by default
+ * @property {(error: Error, file: File) => void} onError - Called when an upload fails
+ */
+
+/**
+ * Create the plugin uploading image files dropped or pasted into the editor
+ * @param {ImageUploadOptions} options - Upload hook and error handler
+ * @returns {Plugin} Image upload plugin
+ */
+export function imageUploadPlugin({ uploadImage = readAsDataUrl, onError }) {
+    const options = { uploadImage, onError };
+    return new Plugin({
+        key: imageUploadKey,
+        state: {
+            init: () => DecorationSet.empty,
+            apply(tr, placeholders) {
+                // Placeholders move along with edits made while uploading
+                placeholders = placeholders.map(tr.mapping, tr.doc);
+                const meta = tr.getMeta(imageUploadKey);
+                if (meta && meta.add) {
+                    // Placeholders stay after images inserted at their position, keeping the files in order
+                    placeholders = placeholders.add(tr.doc, meta.add.map(({ id, pos, file }) =>
+                        Decoration.widget(pos, () => placeholderWidget(file), { id, side: 1 })));
+                } else if (meta && meta.remove) {
+                    placeholders = placeholders.remove(placeholders.find(null, null, spec => spec.id === meta.remove.id));
+                }
+                return placeholders;
+            }
+        },
+        props: {
+            decorations(state) {
+                return imageUploadKey.getState(state);
+            },
+            handleDrop(view, event) {
+                const files = imageFiles(event.dataTransfer);
+                if (!files.length || !view.editable) return false;
+                const target = view.posAtCoords({ left: event.clientX, top: event.clientY });
+                if (!target) return false;
+
+                event.preventDefault();
+                uploadImages(view, files, target.pos, view.state.tr, options);
+                return true;
+            },
+            handlePaste(view, event) {
+                // Word processors and browsers put a picture of what was copied
+                // next to its HTML, which is pasted instead
+                const data = event.clipboardData;
+                const files = imageFiles(data);
+                if (!files.length || data.getData('text/html')) return false;
+
+                event.preventDefault();
+                uploadImages(view, files, view.state.selection.from, view.state.tr.deleteSelection(), options);
+                return true;
+            }
+        }
+    });
+}
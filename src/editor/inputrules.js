@@ -94,13 +94,39 @@ function markInputRule(regexp, markType, getAttrs) {
     });
 }
 
+/**
+ * Create an input rule that turns a bullet list item into a task item
+ * when its first paragraph starts with `[ ] ` or `[x] `
+ * @param {RegExp} regexp - Regular expression matching the task marker, with the check char in group 1
+ * @param {import('prosemirror-model').NodeType} itemType - List item node type
+ * @param {import('prosemirror-model').NodeType} listType - Bullet list node type
+ * @returns {InputRule} Input rule instance
+ */
+function taskItemInputRule(regexp, itemType, listType) {
+    return new InputRule(regexp, (state, match, start, end) => {
+        const $start = state.doc.resolve(start);
+        const depth = $start.depth - 1;
+        if (depth < 1) return null;
+
+        const item = $start.node(depth);
+        if (item.type !== itemType || item.attrs.checked !== null || $start.index(depth) !== 0) return null;
+        if ($start.node(depth - 1).type !== listType) return null;
+
+        const tr = state.tr.delete(start, end);
+        tr.setNodeMarkup($start.before(depth), null, { ...item.attrs, checked: match[1] !== ' ' });
+        return tr;
+    });
+}
+
 /**
  * Build input rules for markdown editing
  * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
+ * @param {InputRule[]} [extraRules] - Rules tried before the built-in ones,
+ *     e.g. of extensions
  * @returns {import('prosemirror-inputrules').InputRulesPlugin} Input rules plugin
  */
-export function buildInputRules(schema) {
-    const rules = [];
+export function buildInputRules(schema, extraRules = []) {
+    const rules = [...extraRules];
 
     // Heading input rules (# to ######)
     for (let i = 1; i <= 6; i++) {
@@ -120,19 +146,35 @@ export function buildInputRules(schema) {
     // Bullet list input rules (-, *, +)
     rules.push(wrappingInputRule(
         /^\s*([-*+])\s$/,
+        schema.nodes.bullet_list,
+        match => ({bullet: match[1]})
+    ));
+
+    // Task list input rule ([ ] or [x] at the start of a bullet item)
+    rules.push(taskItemInputRule(
+        /^\[([ xX])\]\s$/,
+        schema.nodes.list_item,
         schema.nodes.bullet_list
     ));
 
-    // Ordered list input rule (1. )
+    // Ordered list input rule (1. or 1) )
     rules.push(wrappingInputRule(
-        /^\s*(\d+)\.\s$/,
-        schema.nodes.ordered_list
+        /^\s*(\d+)([.)])\s$/,
+        schema.nodes.ordered_list,
+        match => ({delimiter: match[2]})
+    ));
+
+    // Code block input rules (``` and ~~~)
+    rules.push(textblockTypeInputRule(
+        /^(```|~~~)$/,
+        schema.nodes.code_block,
+        match => ({markup: match[1]})
     ));
 
-    // Code block input rule (```)
+    // Math block input rule ($$)
     rules.push(textblockTypeInputRule(
-        /^```$/,
-        schema.nodes.code_block
+        /^\$\$$/,
+        schema.nodes.math_block
     ));
 
     // Horizontal rule input rules (---, ***, ___)
@@ -140,7 +182,7 @@ export function buildInputRules(schema) {
         /^(---|\*\*\*|___)$/,
         (state, match, start, end) => {
             const tr = state.tr;
-            tr.replaceWith(start - 1, end, schema.nodes.horizontal_rule.create());
+            tr.replaceWith(start - 1, end, schema.nodes.horizontal_rule.create({markup: match[1]}));
             return tr;
         }
     ));
@@ -152,7 +194,8 @@ export function buildInputRules(schema) {
     ));
     rules.push(markInputRule(
         /__([^_]+)__$/,
-        schema.marks.strong
+        schema.marks.strong,
+        () => ({markup: '__'})
     ));
 
     // Italic input rules (*text* and _text_)
@@ -163,7 +206,8 @@ export function buildInputRules(schema) {
     ));
     rules.push(markInputRule(
         /_([^_\s][^_]*[^_\s])_$/,
-        schema.marks.em
+        schema.marks.em,
+        () => ({markup: '_'})
     ));
 
     // Code input rule (`text`)
@@ -172,6 +216,38 @@ export function buildInputRules(schema) {
         schema.marks.code
     ));
 
+    // Inline math input rule ($tex$), not for `$$` or an escaped `\$`
+    rules.push(new InputRule(
+        /(?<![$\\])\$([^$\s](?:[^$]*[^$\s])?)\$$/,
+        (state, match, start, end) => {
+            const node = schema.nodes.math_inline.create(null, schema.text(match[1]));
+            return state.tr.replaceWith(start, end, node);
+        }
+    ));
+
+    // Strikethrough input rule (~~text~~)
+    rules.push(markInputRule(
+        /~~([^~]+)~~$/,
+        schema.marks.strikethrough
+    ));
+
+    // Highlight input rule (==text==)
+    rules.push(markInputRule(
+        /==([^=]+)==$/,
+        schema.marks.highlight
+    ));
+
+    // Subscript and superscript input rules (~text~ and ^text^)
+    // Subscript must not match the second half of a ~~ run
+    rules.push(markInputRule(
+        /(?<!~)~([^~\s]+)~$/,
+        schema.marks.sub
+    ));
+    rules.push(markInputRule(
+        /\^([^^\s]+)\^$/,
+        schema.marks.sup
+    ));
+
     return inputRules({rules});
 }
 
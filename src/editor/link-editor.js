@@ -0,0 +1,273 @@
+import { Plugin, PluginKey, TextSelection } from 'prosemirror-state';
+import {
+    cmd,
+    findLinkRange,
+    setLinkFunc,
+    collectLinkDefinitions,
+    normalizeLinkLabel
+} from '../commands/index.js';
+import { isSafeUrl } from './sanitize-html.js';
+
+/**
+ * Floating link editor
+ * Edits the text, target and title of the link around the cursor or of the
+ * selection, in a popover below it
+ */
+
+export const linkEditorKey = new PluginKey('linkEditor');
+
+/**
+ * Open the link editor on the selection, or on the whole link around the
+ * cursor. Without a selection or link, it inserts a new link.
+ * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
+ * @returns {import('../commands/types.d.ts').Command} Command
+ */
+export function openLinkEditor(schema) {
+    const markType = schema.marks.link;
+    return cmd((state, dispatch, view) => {
+        if (!linkEditorKey.get(state) || (view && !view.editable)) return false;
+        const { $from } = state.selection;
+        if (!$from.parent.inlineContent || !$from.parent.type.allowsMarkType(markType)) return false;
+
+        const range = findLinkRange(state, markType) || { from: state.selection.from, to: state.selection.to };
+        if (dispatch) dispatch(state.tr.setMeta(linkEditorKey, { from: range.from, to: range.to }));
+        return true;
+    });
+}
+
+/**
+ * Close the link editor
+ * @returns {import('../commands/types.d.ts').Command} Command
+ */
+export function closeLinkEditor() {
+    return cmd((state, dispatch) => {
+        if (!linkEditorKey.getState(state)) return false;
+        if (dispatch) dispatch(state.tr.setMeta(linkEditorKey, null));
+        return true;
+    });
+}
+
+/**
+ * Popover with the link form, shown while the plugin state holds a range
+ */
+class LinkEditorView {
+    /**
+     * @param {import('prosemirror-view').EditorView} view - Editor view
+     */
+    constructor(view) {
+        this.view = view;
+        this.range = null;
+        this.mark = null; // Link the editor was opened on
+
+        this.dom = document.createElement('form');
+        this.dom.className = 'link-editor';
+        this.dom.setAttribute('role', 'dialog');
+        this.dom.setAttribute('aria-label', 'Edit link');
+        this.dom.hidden = true;
+
+        this.textInput = this.addField('Text', 'text');
+        this.hrefInput = this.addField('URL', 'href', 'https:// or [reference]');
+        // Only shown for a reference label that is not defined yet
+        this.definitionInput = this.addField('Reference URL', 'definition', 'https://');
+        this.titleInput = this.addField('Title', 'title');
+
+        const actions = document.createElement('div');
+        actions.className = 'link-editor-actions';
+        this.applyButton = this.addButton(actions, 'Apply', 'submit');
+        this.openButton = this.addButton(actions, 'Open', 'button', () => this.openLink());
+        this.copyButton = this.addButton(actions, 'Copy', 'button', () => this.copyLink());
+        this.unlinkButton = this.addButton(actions, 'Unlink', 'button', () => this.unlink());
+        this.dom.appendChild(actions);
+
+        this.dom.addEventListener('submit', e => {
+            e.preventDefault();
+            this.apply();
+        });
+        this.dom.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        this.hrefInput.addEventListener('input', () => this.syncDefinitionField());
+
+        view.dom.parentNode.appendChild(this.dom);
+        this.update(view);
+    }
+
+    addField(label, name, placeholder = '') {
+        const row = document.createElement('label');
+        row.className = `link-editor-field link-editor-${name}`;
+        const text = document.createElement('span');
+        text.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.placeholder = placeholder;
+        input.autocomplete = 'off';
+        row.append(text, input);
+        this.dom.appendChild(row);
+        return input;
+    }
+
+    addButton(parent, label, type, onClick) {
+        const button = document.createElement('button');
+        button.type = type;
+        button.textContent = label;
+        if (onClick) button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    update(view) {
+        this.view = view;
+        const range = linkEditorKey.getState(view.state);
+        const opened = range && (!this.range || range.from !== this.range.from || range.to !== this.range.to);
+        this.range = range;
+
+        if (!range) {
+            this.dom.hidden = true;
+            return;
+        }
+        if (opened) this.fill();
+        this.dom.hidden = false;
+        this.position();
+    }
+
+    // Show the link the editor was opened on
+    fill() {
+        const { state } = this.view;
+        const { from, to } = this.range;
+        const markType = state.schema.marks.link;
+        const $from = state.doc.resolve(from);
+        const mark = ($from.nodeAfter && markType.isInSet($from.nodeAfter.marks)) || null;
+
+        this.mark = mark;
+        this.textInput.value = state.doc.textBetween(from, to, ' ', ' ');
+        this.hrefInput.value = mark ? (mark.attrs.reference ? `[${mark.attrs.reference}]` : mark.attrs.href) : '';
+        this.titleInput.value = (mark && mark.attrs.title) || '';
+        this.definitionInput.value = '';
+        this.syncDefinitionField();
+
+        const href = mark && mark.attrs.href;
+        this.openButton.disabled = !href || !isSafeUrl(href);
+        this.copyButton.disabled = !href;
+        this.unlinkButton.disabled = !mark;
+
+        window.setTimeout(() => {
+            this.hrefInput.focus();
+            this.hrefInput.select();
+        });
+    }
+
+    // Reference label typed into the URL field, if any
+    reference() {
+        const match = /^\[([^\]]+)\]$/.exec(this.hrefInput.value.trim());
+        return match ? match[1] : null;
+    }
+
+    syncDefinitionField() {
+        const reference = this.reference();
+        const defined = reference && collectLinkDefinitions(this.view.state.doc).has(normalizeLinkLabel(reference));
+        this.definitionInput.parentNode.hidden = !reference || defined;
+    }
+
+    // Place the popover below the start of the range, inside the scrolled pane
+    position() {
+        const parent = this.dom.offsetParent || this.dom.parentNode;
+        const box = parent.getBoundingClientRect();
+        const coords = this.view.coordsAtPos(this.range.from);
+        const maxLeft = Math.max(0, parent.clientWidth - this.dom.offsetWidth);
+        this.dom.style.left = `${Math.min(Math.max(0, coords.left - box.left + parent.scrollLeft), maxLeft)}px`;
+        this.dom.style.top = `${coords.bottom - box.top + parent.scrollTop + 4}px`;
+    }
+
+    apply() {
+        const { state } = this.view;
+        const { schema } = state;
+        const markType = schema.marks.link;
+        const { from } = this.range;
+        let { to } = this.range;
+        const reference = this.reference();
+        const href = this.hrefInput.value.trim();
+        const title = this.titleInput.value.trim() || null;
+        const text = this.textInput.value || href;
+
+        const tr = state.tr.setMeta(linkEditorKey, null);
+        if (text !== state.doc.textBetween(from, to, ' ', ' ')) {
+            if (!text) return;
+            // New text takes the formatting of the text it replaces
+            const marks = (from < to ? state.doc.resolve(from + 1) : state.doc.resolve(from)).marks();
+            tr.replaceWith(from, to, schema.text(text, markType.removeFromSet(marks)));
+            to = from + text.length;
+        }
+
+        if (!href) {
+            tr.removeMark(from, to, markType);
+        } else if (reference) {
+            const definition = collectLinkDefinitions(tr.doc).get(normalizeLinkLabel(reference));
+            const target = definition ? definition.href : this.definitionInput.value.trim();
+            if (!target) {
+                this.definitionInput.focus();
+                return;
+            }
+            setLinkFunc(tr, from, to, schema, { reference, href: target, title });
+        } else {
+            setLinkFunc(tr, from, to, schema, { href, title });
+        }
+
+        tr.setSelection(TextSelection.create(tr.doc, to));
+        this.view.dispatch(tr.scrollIntoView());
+        this.view.focus();
+    }
+
+    unlink() {
+        const { from, to } = this.range;
+        this.view.dispatch(this.view.state.tr
+            .removeMark(from, to, this.view.state.schema.marks.link)
+            .setMeta(linkEditorKey, null));
+        this.view.focus();
+    }
+
+    openLink() {
+        const href = this.mark && this.mark.attrs.href;
+        if (href && isSafeUrl(href)) window.open(href, '_blank', 'noopener,noreferrer');
+    }
+
+    copyLink() {
+        const href = this.mark && this.mark.attrs.href;
+        const clipboard = window.navigator.clipboard;
+        if (href && clipboard) clipboard.writeText(href).catch(error => console.warn('Failed to copy link:', error));
+    }
+
+    close() {
+        closeLinkEditor()(this.view.state, this.view.dispatch);
+        this.view.focus();
+    }
+
+    destroy() {
+        this.dom.remove();
+    }
+}
+
+/**
+ * Plugin holding the range the link editor is open on, and its popover
+ * @returns {Plugin} Link editor plugin
+ */
+export function linkEditorPlugin() {
+    return new Plugin({
+        key: linkEditorKey,
+        state: {
+            init: () => null,
+            apply(tr, range) {
+                const meta = tr.getMeta(linkEditorKey);
+                if (meta !== undefined) return meta;
+                if (!range) return null;
+                // Moving the cursor elsewhere closes the editor
+                if (tr.selectionSet && !tr.docChanged) return null;
+                return { from: tr.mapping.map(range.from, -1), to: tr.mapping.map(range.to, 1) };
+            }
+        },
+        view: view => new LinkEditorView(view)
+    });
+}
@@ -1,146 +1,324 @@
+import { EditorState, TextSelection } from 'prosemirror-state';
+import { EditorView } from 'prosemirror-view';
+import { Schema, Fragment, Slice } from 'prosemirror-model';
+import { history } from 'prosemirror-history';
+import { keymap } from 'prosemirror-keymap';
+import { baseKeymap, chainCommands, splitBlock } from 'prosemirror-commands';
+import { sourceHighlightPlugin } from './source-highlight.js';
+import { replaceChangedFunc } from '../commands/transforms.js';
+import { sharedHistory, sharedUndo, sharedRedo } from './history.js';
+import {
+    continueSourceList, indentSourceLines, toggleSourceWrap, toggleSourceLink,
+    toggleSourceBlockquote, setSourceHeading
+} from '../commands/source_commands.js';
+
 /**
- * Simple markdown view using a textarea element
- * Provides raw markdown editing experience
+ * Schema for markdown source: a document of plain text lines
+ */
+export const sourceSchema = new Schema({
+    nodes: {
+        doc: { content: 'line+' },
+        line: {
+            content: 'text*',
+            code: true,
+            marks: '',
+            parseDOM: [{ tag: 'div.source-line', preserveWhitespace: 'full' }],
+            toDOM: () => ['div', { class: 'source-line' }, 0]
+        },
+        text: {}
+    }
+});
+
+/**
+ * Build the lines of a source document
+ * @param {string} text - Markdown source
+ * @returns {import('prosemirror-model').Node[]} Line nodes
+ */
+function textToLines(text) {
+    return text.split(/\r\n?|\n/).map(line => sourceSchema.node('line', null, line ? [sourceSchema.text(line)] : []));
+}
+
+/**
+ * Build a source document from markdown
+ * @param {string} text - Markdown source
+ * @returns {import('prosemirror-model').Node} Source document
+ */
+export function createSourceDoc(text) {
+    return sourceSchema.node('doc', null, textToLines(text));
+}
+
+/**
+ * Map a markdown offset to a position in a source document
+ * @param {import('prosemirror-model').Node} doc - Source document
+ * @param {number} offset - Offset into the markdown
+ * @returns {number} Document position
+ */
+export function offsetToPos(doc, offset) {
+    // Each line adds an open and a close token where the markdown has one newline
+    let lineStart = 0, pos = 1;
+    for (let i = 0; i < doc.childCount; i++) {
+        const length = doc.child(i).content.size;
+        if (offset <= lineStart + length || i === doc.childCount - 1) {
+            return pos + Math.max(0, Math.min(offset - lineStart, length));
+        }
+        lineStart += length + 1;
+        pos += length + 2;
+    }
+    return pos;
+}
+
+/**
+ * Map a position in a source document to a markdown offset
+ * @param {import('prosemirror-model').Node} doc - Source document
+ * @param {number} pos - Document position
+ * @returns {number} Offset into the markdown
+ */
+export function posToOffset(doc, pos) {
+    let lineStart = 0, linePos = 1;
+    for (let i = 0; i < doc.childCount; i++) {
+        const length = doc.child(i).content.size;
+        // A position between two lines counts as the start of the next one
+        if (pos <= linePos + length || i === doc.childCount - 1) {
+            return lineStart + Math.max(0, Math.min(pos - linePos, length));
+        }
+        lineStart += length + 1;
+        linePos += length + 2;
+    }
+    return lineStart;
+}
+
+/**
+ * Create the source pane keymap, with the same shortcuts as the WYSIWYG
+ * pane editing the markdown syntax instead
+ * @returns {Object<string, import('prosemirror-state').Command>} Key bindings
+ */
+function createSourceKeymap() {
+    const keys = {};
+
+    // Inline markup
+    keys['Mod-b'] = toggleSourceWrap('**');
+    keys['Mod-i'] = toggleSourceWrap('*');
+    keys['Mod-`'] = toggleSourceWrap('`');
+    keys['Mod-k'] = toggleSourceLink();
+    keys['Mod-Shift-x'] = toggleSourceWrap('~~');
+    keys['Mod-Shift-h'] = toggleSourceWrap('==');
+
+    // Line prefixes
+    for (let level = 0; level <= 6; level++) keys[`Mod-Alt-${level}`] = setSourceHeading(level);
+    keys['Mod-Shift-.'] = toggleSourceBlockquote();
+
+    // History
+    keys['Mod-z'] = sharedUndo;
+    keys['Mod-Shift-z'] = sharedRedo;
+    keys['Mod-y'] = sharedRedo;
+
+    // Lists and indentation
+    keys['Enter'] = chainCommands(continueSourceList(), splitBlock);
+    keys['Tab'] = indentSourceLines(1);
+    keys['Shift-Tab'] = indentSourceLines(-1);
+
+    return keys;
+}
+
+/**
+ * Markdown source view: a ProseMirror editor over plain text lines with
+ * syntax highlighting and a line-number gutter
  */
 export class MarkdownView {
     constructor(target, content = '') {
         this.target = target;
-        this.textarea = null;
-        this.composing = false;
+        this.view = null;
+        // Shared document history; the view's own history is used while unset
+        this.history = null;
+        this.editable = true;
         this.init(content);
     }
-    
+
     init(content) {
         // Clear the target container
         this.target.innerHTML = '';
-        
-        // Create textarea element
-        this.textarea = document.createElement('textarea');
-        this.textarea.className = 'markdown-textarea';
-        this.textarea.value = content;
-        this.textarea.spellcheck = false;
-        
-        // Set textarea attributes for better UX
-        this.textarea.setAttribute('data-gramm', 'false'); // Disable Grammarly
-        this.textarea.setAttribute('data-gramm_editor', 'false');
-        this.textarea.setAttribute('data-enable-grammarly', 'false');
-        
-        // Add event listeners
-        this.setupEventListeners();
-        
-        // Append to target
-        this.target.appendChild(this.textarea);
-        
-        // Auto-resize functionality
-        this.updateHeight();
-    }
-    
-    setupEventListeners() {
-        // Auto-resize on input
-        this.textarea.addEventListener('input', (e) => {
-            this.updateHeight();
-            
+
+        const state = EditorState.create({
+            doc: createSourceDoc(content),
+            plugins: [
+                history(),
+                sharedHistory(() => this.history),
+                keymap(createSourceKeymap()),
+                keymap({ 'Mod-s': () => this.requestSave() }),
+                keymap(baseKeymap),
+                sourceHighlightPlugin()
+            ]
+        });
+
+        this.view = new EditorView(this.target, {
+            state,
+            attributes: {
+                class: 'markdown-source',
+                spellcheck: 'false',
+                // Disable Grammarly
+                'data-gramm': 'false',
+                'data-gramm_editor': 'false',
+                'data-enable-grammarly': 'false'
+            },
+            // Plain text in and out: lines become line nodes and back
+            clipboardTextSerializer: slice => slice.content.textBetween(0, slice.content.size, '\n'),
+            clipboardTextParser: text => new Slice(Fragment.from(textToLines(text)), 1, 1),
+            handlePaste: (view, event, slice) => {
+                const text = event.clipboardData && event.clipboardData.getData('text/plain');
+                const content = text ? new Slice(Fragment.from(textToLines(text)), 1, 1) : slice;
+                view.dispatch(view.state.tr.replaceSelection(content).scrollIntoView());
+                return true;
+            },
+            editable: () => this.editable,
+            dispatchTransaction: this.dispatchTransaction.bind(this)
+        });
+
+        this.target.classList.add('markdown-source-container');
+    }
+
+    dispatchTransaction(transaction) {
+        this.view.updateState(this.view.state.apply(transaction));
+
+        // Programmatic changes are reported by setContent with their source
+        if (transaction.getMeta('source')) return;
+
+        if (transaction.docChanged) {
+            // The selection moves with the edit and is reported as content instead
+            this.lastSelection = this.getSelection();
+
             // Call content change callback if set (without source parameter for user input)
             if (this.onContentChange && typeof this.onContentChange === 'function') {
                 this.onContentChange(this.getContent());
             }
-        });
-        
-        // Handle tab insertion
-        this.textarea.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                e.preventDefault();
-                this.insertTab();
-            }
-        });
-        
-        // Track composition events for IME
-        this.textarea.addEventListener('compositionstart', () => {
-            this.composing = true;
-        });
-        
-        this.textarea.addEventListener('compositionend', () => {
-            this.composing = false;
-        });
+        } else if (transaction.selectionSet) {
+            this.checkSelection();
+        }
     }
-    
-    insertTab() {
-        const start = this.textarea.selectionStart;
-        const end = this.textarea.selectionEnd;
-        
-        // Insert tab character
-        const value = this.textarea.value;
-        this.textarea.value = value.substring(0, start) + '    ' + value.substring(end);
-        
-        // Restore cursor position
-        this.textarea.selectionStart = this.textarea.selectionEnd = start + 4;
-    }
-    
-    updateHeight() {
-        // Auto-resize textarea to fit content
-        this.textarea.style.height = 'auto';
-        this.textarea.style.height = Math.max(300, this.textarea.scrollHeight) + 'px';
-    }
-    
+
+    // Call the save callback if set; without one the browser handles the key
+    requestSave() {
+        if (!this.onSave || typeof this.onSave !== 'function') return false;
+        this.onSave();
+        return true;
+    }
+
     getContent() {
-        return this.textarea ? this.textarea.value : '';
+        if (!this.view) return '';
+        const lines = [];
+        this.view.state.doc.forEach(line => lines.push(line.textContent));
+        return lines.join('\n');
     }
-    
+
     setContent(content, options = {}) {
-        if (this.textarea) {
-            // Preserve cursor position if requested
-            const currentPosition = options.preserveCursor ? this.getCursorPosition() : 0;
-            
-            this.textarea.value = content;
-            this.updateHeight();
-            
-            // Restore cursor position if preserving
-            if (options.preserveCursor) {
-                // Adjust position if content length has changed
-                const newLength = content.length;
-                const adjustedPosition = Math.min(currentPosition, newLength);
-                // Don't focus when restoring cursor during sync operations
-                const shouldFocus = !options.source;
-                this.setCursorPosition(adjustedPosition, shouldFocus);
+        if (this.view) {
+            // Replace only the lines that changed, so the selection maps through
+            const tr = this.view.state.tr;
+            if (replaceChangedFunc(tr, createSourceDoc(content))) {
+                tr.setMeta('source', options.source || 'api');
+                // Changes from the other pane are not undone from this one
+                if (options.source) tr.setMeta('addToHistory', false);
+                this.view.dispatch(tr);
+            }
+
+            if (options.preserveCursor && !options.source) {
+                this.view.focus();
             }
-            
+
             // If this is a programmatic change (from sync), call callback with source
             if (options.source && this.onContentChange && typeof this.onContentChange === 'function') {
                 this.onContentChange(this.getContent(), options.source);
             }
         }
     }
-    
+
     focus() {
-        if (this.textarea) {
-            this.textarea.focus();
+        if (this.view) {
+            this.view.focus();
         }
     }
-    
+
+    /**
+     * Allow or prevent editing by the user
+     * @param {boolean} editable - Whether the document can be edited
+     */
+    setEditable(editable) {
+        this.editable = editable;
+        // The view reads the editable prop again when updated
+        if (this.view) this.view.setProps({});
+    }
+
     destroy() {
-        if (this.textarea) {
-            this.textarea.remove();
-            this.textarea = null;
+        if (this.view) {
+            this.view.destroy();
+            this.view = null;
         }
     }
-    
-    // Get cursor position for potential future features
+
+    /**
+     * Get the DOM element of a source line
+     * @param {number} line - Line index
+     * @returns {HTMLElement|null} Element, null past the last line
+     */
+    getLineElement(line) {
+        // Lines are the top-level nodes, rendered as direct children of the editor
+        return this.view ? this.view.dom.children[line] || null : null;
+    }
+
+    // Get cursor position as an offset into the markdown
     getCursorPosition() {
-        return this.textarea ? this.textarea.selectionStart : 0;
+        return this.view ? posToOffset(this.view.state.doc, this.view.state.selection.head) : 0;
     }
-    
+
     // Set cursor position
     setCursorPosition(position, shouldFocus = true) {
-        if (this.textarea) {
-            this.textarea.selectionStart = this.textarea.selectionEnd = position;
+        if (this.view) {
+            this.setSelection(position);
             if (shouldFocus) {
-                this.textarea.focus();
+                this.view.focus();
             }
         }
     }
-    
+
+    /**
+     * Get the current selection
+     * @returns {{anchor: number, head: number}} Offsets into the markdown
+     */
+    getSelection() {
+        if (!this.view) return { anchor: 0, head: 0 };
+        const { doc, selection } = this.view.state;
+        return { anchor: posToOffset(doc, selection.anchor), head: posToOffset(doc, selection.head) };
+    }
+
+    /**
+     * Select a range without focusing, e.g. to mirror another pane
+     * @param {number} anchor - Anchor offset
+     * @param {number} [head=anchor] - Head offset
+     */
+    setSelection(anchor, head = anchor) {
+        if (!this.view) return;
+
+        const { doc } = this.view.state;
+        const selection = TextSelection.create(doc, offsetToPos(doc, anchor), offsetToPos(doc, head));
+        this.view.dispatch(this.view.state.tr.setSelection(selection)
+            .setMeta('source', 'sync').setMeta('addToHistory', false));
+        // Programmatic changes are not reported back
+        this.lastSelection = this.getSelection();
+    }
+
+    // Call the selection change callback when the selection moved
+    checkSelection() {
+        const selection = this.getSelection();
+        const last = this.lastSelection;
+        if (last && last.anchor === selection.anchor && last.head === selection.head) return;
+
+        this.lastSelection = selection;
+        if (this.onSelectionChange && typeof this.onSelectionChange === 'function') {
+            this.onSelectionChange(selection);
+        }
+    }
+
     // Check if composition is active (for IME input)
     isComposing() {
-        return this.composing;
+        return this.view ? this.view.composing : false;
     }
-}
\ No newline at end of file
+}
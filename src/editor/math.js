@@ -0,0 +1,144 @@
+import { Plugin, PluginKey, TextSelection } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+
+/**
+ * Math editing support for the WYSIWYG editor
+ * Math nodes show a rendered preview, and their TeX source while the cursor
+ * is inside them. Rendering goes through a replaceable renderer so a TeX
+ * library such as KaTeX can be plugged in:
+ *
+ *     setMathRenderer((tex, element, { displayMode }) =>
+ *         katex.render(tex, element, { displayMode, throwOnError: false }));
+ */
+
+/**
+ * @callback MathRenderer
+ * @param {string} tex - TeX source
+ * @param {HTMLElement} element - Empty element to render into
+ * @param {{displayMode: boolean}} options - displayMode is true for math blocks
+ */
+
+/**
+ * Default renderer: the TeX source itself, styled by `.math-rendered-source`
+ * @type {MathRenderer}
+ */
+function renderSource(tex, element) {
+    element.classList.add('math-rendered-source');
+    element.textContent = tex;
+}
+
+let mathRenderer = renderSource;
+
+/**
+ * Replace the math renderer used by math node previews
+ * Previews already on screen are re-rendered when their node changes
+ * @param {MathRenderer|null} renderer - Renderer, or null to restore the default
+ */
+export function setMathRenderer(renderer) {
+    mathRenderer = renderer || renderSource;
+}
+
+/**
+ * Render TeX into an element with the current renderer
+ * Renderer errors are shown as the source with an error class
+ * @param {string} tex - TeX source
+ * @param {HTMLElement} element - Element to render into
+ * @param {boolean} displayMode - True for math blocks
+ */
+export function renderMath(tex, element, displayMode) {
+    element.textContent = '';
+    element.className = 'math-preview';
+    try {
+        mathRenderer(tex, element, { displayMode });
+    } catch (error) {
+        element.classList.add('math-error');
+        element.textContent = tex;
+        element.title = error.message;
+    }
+}
+
+/**
+ * Check whether a node is a math node
+ * @param {import('prosemirror-model').Node|null} node - Node to check
+ * @returns {boolean} True for math_inline and math_block nodes
+ */
+export function isMathNode(node) {
+    return !!node && (node.type.name === 'math_inline' || node.type.name === 'math_block');
+}
+
+export const mathPluginKey = new PluginKey('math');
+
+/**
+ * Mark the math node holding the selection as being edited
+ * @param {import('prosemirror-state').EditorState} state - Editor state
+ * @returns {DecorationSet} Node decoration with `mathEditing` in its spec
+ */
+function editingDecorations(state) {
+    const { $from, $to } = state.selection;
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth);
+        if (!isMathNode(node)) continue;
+        if ($to.pos > $from.end(depth)) break;
+
+        const pos = $from.before(depth);
+        return DecorationSet.create(state.doc, [
+            Decoration.node(pos, pos + node.nodeSize, {}, { mathEditing: true })
+        ]);
+    }
+    return DecorationSet.empty;
+}
+
+/**
+ * Move the cursor into an adjacent math node, whose source is hidden
+ * while the cursor is outside, instead of jumping over it
+ * @param {'left'|'right'|'up'|'down'} dir - Arrow key direction
+ * @returns {import('prosemirror-state').Command} Command
+ */
+function enterMath(dir) {
+    const forward = dir === 'right' || dir === 'down';
+
+    return (state, dispatch, view) => {
+        const { $head, empty } = state.selection;
+        if (!empty) return false;
+
+        let target = null;
+        if (dir === 'left' || dir === 'right') {
+            const node = forward ? $head.nodeAfter : $head.nodeBefore;
+            if (isMathNode(node)) target = forward ? $head.pos + 1 : $head.pos - 1;
+        }
+        if (target === null && $head.depth > 0 && view && view.endOfTextblock(dir)) {
+            const $side = state.doc.resolve(forward ? $head.after() : $head.before());
+            const node = forward ? $side.nodeAfter : $side.nodeBefore;
+            if (isMathNode(node)) target = forward ? $side.pos + 1 : $side.pos - 1;
+        }
+        if (target === null) return false;
+
+        if (dispatch) dispatch(state.tr.setSelection(TextSelection.create(state.doc, target)).scrollIntoView());
+        return true;
+    };
+}
+
+const arrowCommands = {
+    ArrowLeft: enterMath('left'),
+    ArrowRight: enterMath('right'),
+    ArrowUp: enterMath('up'),
+    ArrowDown: enterMath('down')
+};
+
+/**
+ * Create the math editing plugin
+ * @returns {Plugin} Math plugin
+ */
+export function mathPlugin() {
+    return new Plugin({
+        key: mathPluginKey,
+        props: {
+            decorations: editingDecorations,
+            handleKeyDown(view, event) {
+                if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return false;
+                const command = arrowCommands[event.key];
+                return !!command && command(view.state, view.dispatch, view);
+            }
+        }
+    });
+}
@@ -1,8 +1,30 @@
-import { setBlockType, wrapIn } from 'prosemirror-commands';
-import { undo, redo } from 'prosemirror-history';
-import { wrapInList, splitListItem } from 'prosemirror-schema-list';
+import { chainCommands, setBlockType, wrapIn } from 'prosemirror-commands';
+import { wrapInList } from 'prosemirror-schema-list';
 import { keymap } from 'prosemirror-keymap';
-import { cmd, customBackspace, customSinkListItem, customLiftListItem } from '../commands';
+import { NodeSelection } from 'prosemirror-state';
+import {
+    cmd,
+    customBackspace,
+    customSinkListItem,
+    customLiftListItem,
+    customSplitListItem,
+    toggleTaskList,
+    isInTaskItem,
+    insertTable,
+    isInTable,
+    goToNextCell,
+    goToCellBelow,
+    addRowBefore,
+    addRowAfter,
+    deleteRow,
+    addColumnBefore,
+    addColumnAfter,
+    deleteColumn,
+    deleteTable,
+    setColumnAlign,
+    getColumnAlign,
+    insertFootnote
+} from '../commands/index.js';
 import {
     MenuItem,
     markItem,
@@ -12,7 +34,9 @@ import {
     markActive,
     menuBar,
     icons
-} from '../menu';
+} from '../menu/index.js';
+import { sharedUndo, sharedRedo } from './history.js';
+import { openLinkEditor } from './link-editor.js';
 
 /**
  * Editor-specific menu configuration and commands
@@ -95,45 +119,6 @@ function cmdItem(command, options) {
     return new MenuItem(spec);
 }
 
-/**
- * Helper function to prompt for link URL
- * @param {import('prosemirror-model').MarkType} markType - Link mark type
- * @returns {Command} Link command function
- */
-function linkCommand(markType) {
-    return cmd((state, dispatch) => {
-        if (state.selection.empty) return false;
-
-        // If dispatch is null, we're just checking if command is available
-        if (!dispatch) return true;
-
-        const { from, to } = state.selection;
-        const start = state.doc.resolve(from);
-        // const end = state.doc.resolve(to);
-
-        // Check if selection already has a link
-        const mark = markType.isInSet(start.marks());
-        let href = '';
-
-        if (mark) {
-            href = mark.attrs.href;
-        }
-
-        const url = prompt('Enter URL:', href);
-        if (url === null) return true; // User cancelled
-
-        if (url === '') {
-            // Remove link
-            dispatch(state.tr.removeMark(from, to, markType));
-        } else {
-            // Add/update link
-            dispatch(state.tr.addMark(from, to, markType.create({ href: url })));
-        }
-
-        return true;
-    });
-}
-
 /**
  * Create menu items for a given schema
  * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
@@ -155,7 +140,23 @@ export function createMenuItems(schema) {
                 icon: icons.code,
                 title: 'Code (Mod-`)'
             }),
-            cmdItem(linkCommand(schema.marks.link), {
+            markItem(schema.marks.strikethrough, {
+                icon: icons.strikethrough,
+                title: 'Strikethrough (Mod-Shift-x)'
+            }),
+            markItem(schema.marks.highlight, {
+                icon: icons.highlight,
+                title: 'Highlight (Mod-Shift-h)'
+            }),
+            markItem(schema.marks.sub, {
+                icon: icons.subscript,
+                title: 'Subscript (Mod-,)'
+            }),
+            markItem(schema.marks.sup, {
+                icon: icons.superscript,
+                title: 'Superscript (Mod-.)'
+            }),
+            cmdItem(openLinkEditor(schema), {
                 icon: icons.link,
                 title: 'Link (Mod-k)',
                 active: markActive(schema.marks.link)
@@ -206,16 +207,21 @@ export function createMenuItems(schema) {
             cmdItem(wrapInList(schema.nodes.ordered_list), {
                 icon: icons.ordered_list,
                 title: 'Ordered list'
+            }),
+            cmdItem(toggleTaskList(schema), {
+                icon: icons.task_list,
+                title: 'Task list (Mod-Shift-9)',
+                active: state => isInTaskItem(state, schema.nodes.list_item)
             })
         ],
 
         // Actions group
         [
-            cmdItem(undo, {
+            cmdItem(sharedUndo, {
                 icon: icons.undo,
                 title: 'Undo (Mod-z)'
             }),
-            cmdItem(redo, {
+            cmdItem(sharedRedo, {
                 icon: icons.redo,
                 title: 'Redo (Mod-Shift-z)'
             }),
@@ -242,33 +248,95 @@ export function createMenuItems(schema) {
                 icon: icons.clear_formatting,
                 title: 'Clear formatting (Mod-\\\\)'
             }),
-            cmdItem(insertTableCommand(schema), {
+            cmdItem(insertTable(schema), {
                 icon: icons.table,
                 title: 'Insert table'
+            }),
+            cmdItem(insertFootnote(schema), {
+                icon: icons.footnote,
+                title: 'Insert footnote (Mod-Alt-f)'
             })
+        ],
+
+        // Table editing group (only shown inside a table)
+        [
+            cmdItem(addRowBefore, {
+                icon: icons.table_row_before,
+                title: 'Add row before',
+                select: isInTable
+            }),
+            cmdItem(addRowAfter, {
+                icon: icons.table_row_after,
+                title: 'Add row after',
+                select: isInTable
+            }),
+            cmdItem(deleteRow, {
+                icon: icons.table_row_delete,
+                title: 'Delete row',
+                select: isInTable
+            }),
+            cmdItem(addColumnBefore, {
+                icon: icons.table_col_before,
+                title: 'Add column before',
+                select: isInTable
+            }),
+            cmdItem(addColumnAfter, {
+                icon: icons.table_col_after,
+                title: 'Add column after',
+                select: isInTable
+            }),
+            cmdItem(deleteColumn, {
+                icon: icons.table_col_delete,
+                title: 'Delete column',
+                select: isInTable
+            }),
+            cmdItem(deleteTable, {
+                icon: icons.table_delete,
+                title: 'Delete table',
+                select: isInTable
+            }),
+            alignColumnItem('left', icons.table_align_left, 'Align column left'),
+            alignColumnItem('center', icons.table_align_center, 'Center column'),
+            alignColumnItem('right', icons.table_align_right, 'Align column right')
         ]
     ];
 }
 
+/**
+ * Create a menu item aligning the selected table column
+ * Running it on a column that already has the alignment resets it to the default
+ * @param {string} align - 'left', 'center' or 'right'
+ * @param {IconSpec} icon - Item icon
+ * @param {string} title - Item title
+ * @returns {MenuItem} Menu item instance
+ */
+function alignColumnItem(align, icon, title) {
+    return cmdItem((state, dispatch) => setColumnAlign(getColumnAlign(state) === align ? null : align)(state, dispatch), {
+        icon,
+        title,
+        select: isInTable,
+        active: state => getColumnAlign(state) === align
+    });
+}
+
 /**
  * Image insertion command
+ * Inserts an image without a source and selects it, so its source is filled
+ * in with the image editor
  * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
  * @returns {Command} Image insertion command
  */
 function insertImageCommand(schema) {
+    const imageType = schema.nodes.image;
     return cmd((state, dispatch) => {
-        // If dispatch is null, we're just checking if command is available
+        const { $from } = state.selection;
+        if (!$from.parent.inlineContent || $from.parent.type.spec.code) return false;
         if (!dispatch) return true;
 
-        const url = prompt('Enter image URL:', 'https://');
-        if (url === null) return true; // User cancelled
-
-        if (url) {
-            const node = schema.nodes.image ?
-                schema.nodes.image.create({ src: url }) :
-                schema.text(`![Image](${url})`);
-            dispatch(state.tr.replaceSelectionWith(node));
-        }
+        const tr = state.tr.replaceSelectionWith(imageType.create({ src: '' }));
+        const pos = tr.selection.from - 1;
+        if (tr.doc.nodeAt(pos) && tr.doc.nodeAt(pos).type === imageType) tr.setSelection(NodeSelection.create(tr.doc, pos));
+        dispatch(tr.scrollIntoView());
         return true;
     });
 }
@@ -318,23 +386,6 @@ function clearFormattingCommand(schema) {
     });
 }
 
-/**
- * Insert table command (basic 3x3 table)
- * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
- * @returns {Command} Table insertion command
- */
-function insertTableCommand(schema) {
-    return cmd((state, dispatch) => {
-        if (!dispatch) return true; // Just checking availability
-
-        // Simple table as markdown text since basic schema doesn't support tables
-        const tableText = '| Header 1 | Header 2 | Header 3 |\n|----------|----------|----------|\n| Cell 1   | Cell 2   | Cell 3   |\n| Cell 4   | Cell 5   | Cell 6   |\n\n';
-        const node = schema.text(tableText);
-        dispatch(state.tr.replaceSelectionWith(node));
-        return true;
-    });
-}
-
 /**
  * Create keyboard shortcuts map
  * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
@@ -350,7 +401,11 @@ export function createKeymap(schema) {
     keys['Mod-b'] = customToggleMark(schema.marks.strong);
     keys['Mod-i'] = customToggleMark(schema.marks.em);
     keys['Mod-`'] = customToggleMark(schema.marks.code);
-    keys['Mod-k'] = linkCommand(schema.marks.link);
+    keys['Mod-k'] = openLinkEditor(schema);
+    keys['Mod-Shift-x'] = customToggleMark(schema.marks.strikethrough);
+    keys['Mod-Shift-h'] = customToggleMark(schema.marks.highlight);
+    keys['Mod-,'] = customToggleMark(schema.marks.sub);
+    keys['Mod-.'] = customToggleMark(schema.marks.sup);
 
     // Block types
     keys['Mod-Alt-0'] = setBlockType(schema.nodes.paragraph);
@@ -364,21 +419,23 @@ export function createKeymap(schema) {
     // Lists and wrappers
     keys['Mod-Shift-8'] = wrapInList(schema.nodes.bullet_list);
     keys['Mod-Shift-7'] = wrapInList(schema.nodes.ordered_list);
+    keys['Mod-Shift-9'] = toggleTaskList(schema);
     keys['Mod-Shift-.'] = wrapIn(schema.nodes.blockquote);
 
     // History
-    keys['Mod-z'] = undo;
-    keys['Mod-Shift-z'] = redo;
-    keys['Mod-y'] = redo; // Alternative redo
+    keys['Mod-z'] = sharedUndo;
+    keys['Mod-Shift-z'] = sharedRedo;
+    keys['Mod-y'] = sharedRedo; // Alternative redo
 
-    // List operations
-    keys['Enter'] = splitListItem(schema.nodes.list_item);
-    keys['Tab'] = customSinkListItem(schema);
-    keys['Shift-Tab'] = customLiftListItem(schema);
+    // List and table operations
+    keys['Enter'] = chainCommands(goToCellBelow(), customSplitListItem(schema));
+    keys['Tab'] = chainCommands(goToNextCell(1), customSinkListItem(schema));
+    keys['Shift-Tab'] = chainCommands(goToNextCell(-1), customLiftListItem(schema));
 
     // Advanced commands
     keys['Shift-Enter'] = insertHardBreakCommand(schema);
     keys['Mod-\\\\'] = clearFormattingCommand(schema);
+    keys['Mod-Alt-f'] = insertFootnote(schema);
 
     return keymap(keys);
 }
@@ -386,9 +443,11 @@ export function createKeymap(schema) {
 /**
  * Create the menu plugin
  * @param {import('prosemirror-model').Schema} schema - ProseMirror schema
+ * @param {MenuItem[][]} [extraGroups] - Groups added after the built-in ones,
+ *     e.g. of extensions
  * @returns {import('prosemirror-state').Plugin} Menu plugin
  */
-export function menuPlugin(schema) {
-    const menuItems = createMenuItems(schema);
+export function menuPlugin(schema, extraGroups = []) {
+    const menuItems = [...createMenuItems(schema), ...extraGroups];
     return menuBar(menuItems);
 }
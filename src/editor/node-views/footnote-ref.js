@@ -0,0 +1,37 @@
+/**
+ * Node view for footnote references
+ * Shows the footnote's number, taken from the footnote plugin's decorations
+ */
+export class FootnoteRefView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The footnote_ref node
+     * @param {import('prosemirror-view').EditorView} view - The editor view
+     * @param {function(): number} getPos - Position getter for the node
+     * @param {readonly import('prosemirror-view').Decoration[]} decorations - Node decorations
+     */
+    constructor(node, view, getPos, decorations) {
+        this.node = node;
+        this.dom = document.createElement('sup');
+        this.dom.className = 'footnote-ref';
+        this.render(decorations);
+    }
+
+    render(decorations) {
+        const numbered = decorations.find(decoration => decoration.spec.footnoteNumber);
+        this.dom.textContent = numbered ? String(numbered.spec.footnoteNumber) : this.node.attrs.label;
+        this.dom.setAttribute('data-label', this.node.attrs.label);
+        this.dom.title = `[^${this.node.attrs.label}]`;
+    }
+
+    update(node, decorations) {
+        if (node.type !== this.node.type) return false;
+
+        this.node = node;
+        this.render(decorations);
+        return true;
+    }
+
+    ignoreMutation() {
+        return true;
+    }
+}
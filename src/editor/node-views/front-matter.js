@@ -0,0 +1,69 @@
+/**
+ * Node view for the document's front matter block
+ * Renders the raw metadata like a code block under a header that collapses it
+ */
+export class FrontMatterView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The front_matter node
+     */
+    constructor(node) {
+        this.node = node;
+        this.collapsed = false;
+
+        this.dom = document.createElement('div');
+        this.dom.className = 'front-matter';
+
+        // Header lives outside contentDOM so ProseMirror never edits it
+        this.header = document.createElement('div');
+        this.header.className = 'front-matter-header';
+        this.header.contentEditable = 'false';
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'front-matter-toggle';
+        this.toggleButton.addEventListener('mousedown', e => e.preventDefault());
+        this.toggleButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.setCollapsed(!this.collapsed);
+        });
+        this.header.appendChild(this.toggleButton);
+
+        const pre = document.createElement('pre');
+        this.contentDOM = document.createElement('code');
+        pre.appendChild(this.contentDOM);
+
+        this.dom.appendChild(this.header);
+        this.dom.appendChild(pre);
+        this.syncHeader();
+    }
+
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.dom.classList.toggle('collapsed', collapsed);
+        this.syncHeader();
+    }
+
+    syncHeader() {
+        const format = this.node.attrs.markup === '+++' ? 'TOML' : 'YAML';
+        this.toggleButton.textContent = `${format} front matter`;
+        this.toggleButton.setAttribute('aria-expanded', this.collapsed ? 'false' : 'true');
+        this.toggleButton.title = this.collapsed ? 'Show front matter' : 'Hide front matter';
+    }
+
+    update(node) {
+        if (node.type !== this.node.type) return false;
+
+        this.node = node;
+        this.syncHeader();
+        return true;
+    }
+
+    stopEvent(event) {
+        return this.header.contains(event.target);
+    }
+
+    ignoreMutation(mutation) {
+        // Only mutations inside the editable content concern ProseMirror
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target);
+    }
+}
@@ -0,0 +1,86 @@
+import { sanitizeHtml } from '../sanitize-html.js';
+
+/**
+ * Node view for raw HTML blocks
+ * Renders the HTML source like a code block, under a header that switches
+ * to a sanitized preview
+ */
+export class HtmlBlockView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The html_block node
+     */
+    constructor(node) {
+        this.node = node;
+        this.previewing = false;
+        this.previewSource = null;
+
+        this.dom = document.createElement('div');
+        this.dom.className = 'html-block';
+
+        // Header and preview live outside contentDOM so ProseMirror never edits them
+        this.header = document.createElement('div');
+        this.header.className = 'html-block-header';
+        this.header.contentEditable = 'false';
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'html-block-toggle';
+        this.toggleButton.addEventListener('mousedown', e => e.preventDefault());
+        this.toggleButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.setPreviewing(!this.previewing);
+        });
+        this.header.appendChild(this.toggleButton);
+
+        const pre = document.createElement('pre');
+        this.contentDOM = document.createElement('code');
+        pre.appendChild(this.contentDOM);
+
+        this.preview = document.createElement('div');
+        this.preview.className = 'html-block-preview';
+        this.preview.contentEditable = 'false';
+
+        this.dom.appendChild(this.header);
+        this.dom.appendChild(pre);
+        this.dom.appendChild(this.preview);
+        this.syncHeader();
+    }
+
+    setPreviewing(previewing) {
+        this.previewing = previewing;
+        this.dom.classList.toggle('previewing', previewing);
+        this.syncHeader();
+        if (previewing) this.renderPreview();
+    }
+
+    syncHeader() {
+        this.toggleButton.textContent = this.previewing ? 'HTML preview' : 'HTML';
+        this.toggleButton.setAttribute('aria-pressed', this.previewing ? 'true' : 'false');
+        this.toggleButton.title = this.previewing ? 'Show HTML source' : 'Show sanitized preview';
+    }
+
+    renderPreview() {
+        const html = this.node.textContent;
+        if (html === this.previewSource) return;
+
+        this.previewSource = html;
+        this.preview.replaceChildren(sanitizeHtml(html));
+    }
+
+    update(node) {
+        if (node.type !== this.node.type) return false;
+
+        this.node = node;
+        if (this.previewing) this.renderPreview();
+        return true;
+    }
+
+    stopEvent(event) {
+        return this.header.contains(event.target) || this.preview.contains(event.target);
+    }
+
+    ignoreMutation(mutation) {
+        // Only mutations inside the editable source concern ProseMirror
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target);
+    }
+}
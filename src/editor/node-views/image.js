@@ -0,0 +1,201 @@
+import { NodeSelection } from 'prosemirror-state';
+
+// Widths the width field and attribute accept: pixels or a percentage
+const WIDTH = /^\d+(\.\d+)?%?$/;
+
+/**
+ * Node view for images
+ * Shows a placeholder for images that fail to load and a caption for images
+ * shown as figures. While selected, the image gets a resize handle and an
+ * editor for its source, alt text, title and width.
+ */
+export class ImageView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The image node
+     * @param {import('prosemirror-view').EditorView} view - The editor view
+     * @param {function(): number} getPos - Position getter for the node
+     * @param {readonly import('prosemirror-view').Decoration[]} decorations - Node decorations
+     */
+    constructor(node, view, getPos, decorations) {
+        this.node = node;
+        this.view = view;
+        this.getPos = getPos;
+        this.resizing = null; // Listeners of a resize in progress
+
+        this.dom = document.createElement('span');
+        this.dom.className = 'image-view';
+
+        this.img = document.createElement('img');
+        this.img.addEventListener('load', () => this.dom.classList.remove('image-broken'));
+        this.img.addEventListener('error', () => this.dom.classList.add('image-broken'));
+
+        // Controls live outside the image so ProseMirror never edits them
+        this.placeholder = this.createPart('image-placeholder');
+        this.caption = this.createPart('image-caption');
+        this.handle = this.createPart('image-resize-handle');
+        this.handle.addEventListener('mousedown', e => this.startResize(e));
+
+        this.editor = this.createPart('image-editor');
+        this.editor.hidden = true;
+        this.srcInput = this.addField('URL', 'src');
+        this.altInput = this.addField('Alt text', 'alt');
+        this.titleInput = this.addField('Title', 'title');
+        this.widthInput = this.addField('Width', 'width');
+        this.widthInput.placeholder = 'auto, 300 or 50%';
+        this.editor.addEventListener('keydown', e => {
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                e.preventDefault();
+                if (e.key === 'Enter') this.applyFields();
+                this.view.focus();
+            }
+        });
+
+        this.dom.append(this.img, this.placeholder, this.handle, this.caption, this.editor);
+        this.render(decorations);
+    }
+
+    createPart(className) {
+        const part = document.createElement('span');
+        part.className = className;
+        part.contentEditable = 'false';
+        return part;
+    }
+
+    addField(label, name) {
+        const row = document.createElement('label');
+        const text = document.createElement('span');
+        text.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.autocomplete = 'off';
+        input.addEventListener('change', () => this.applyFields());
+        row.append(text, input);
+        this.editor.appendChild(row);
+        return input;
+    }
+
+    render(decorations) {
+        const { src, alt, title, width } = this.node.attrs;
+
+        if (this.img.getAttribute('src') !== src) {
+            this.dom.classList.toggle('image-broken', !src);
+            this.img.setAttribute('src', src);
+        }
+        this.img.alt = alt || '';
+        if (title) this.img.title = title;
+        else this.img.removeAttribute('title');
+        this.img.style.width = !width ? '' : width.endsWith('%') ? width : `${width}px`;
+
+        this.placeholder.textContent = alt || 'Image';
+        this.placeholder.title = src ? `Image could not be loaded: ${src}` : 'No image URL';
+
+        const figure = decorations.some(decoration => decoration.spec.imageFigure);
+        this.dom.classList.toggle('image-figure', figure);
+        this.caption.textContent = figure ? title : '';
+        this.caption.hidden = !figure;
+
+        if (!this.editor.hidden) this.fillFields();
+    }
+
+    // Show the attributes in the fields the user is not typing in
+    fillFields() {
+        const { src, alt, title, width } = this.node.attrs;
+        const fields = [[this.srcInput, src], [this.altInput, alt], [this.titleInput, title], [this.widthInput, width]];
+        for (const [input, value] of fields) {
+            if (input !== document.activeElement) input.value = value || '';
+        }
+    }
+
+    applyFields() {
+        const width = this.widthInput.value.trim().replace(/px$/, '');
+        if (width && !WIDTH.test(width)) {
+            this.widthInput.value = this.node.attrs.width || '';
+            return;
+        }
+        this.setAttrs({
+            src: this.srcInput.value.trim(),
+            alt: this.altInput.value || null,
+            title: this.titleInput.value || null,
+            width: width || null
+        });
+    }
+
+    setAttrs(attrs) {
+        const pos = this.getPos();
+        if (typeof pos !== 'number') return;
+        attrs = { ...this.node.attrs, ...attrs };
+        if (Object.keys(attrs).every(name => attrs[name] === this.node.attrs[name])) return;
+
+        const { selection } = this.view.state;
+        const tr = this.view.state.tr.setNodeMarkup(pos, null, attrs);
+        // Replacing the image would lose the selection keeping the editor open
+        if (selection instanceof NodeSelection && selection.from === pos) tr.setSelection(NodeSelection.create(tr.doc, pos));
+        this.view.dispatch(tr);
+    }
+
+    startResize(event) {
+        if (event.button !== 0 || !this.view.editable) return;
+        event.preventDefault();
+
+        const startX = event.clientX;
+        const startWidth = this.img.getBoundingClientRect().width;
+        const doc = this.dom.ownerDocument;
+        let width = startWidth;
+
+        const move = e => {
+            width = Math.max(16, Math.round(startWidth + e.clientX - startX));
+            this.img.style.width = `${width}px`;
+        };
+        const stop = () => {
+            this.stopResize();
+            if (width !== startWidth) this.setAttrs({ width: String(width) });
+        };
+        doc.addEventListener('mousemove', move);
+        doc.addEventListener('mouseup', stop);
+        this.resizing = { move, stop };
+    }
+
+    stopResize() {
+        if (!this.resizing) return;
+        const doc = this.dom.ownerDocument;
+        doc.removeEventListener('mousemove', this.resizing.move);
+        doc.removeEventListener('mouseup', this.resizing.stop);
+        this.resizing = null;
+    }
+
+    selectNode() {
+        this.dom.classList.add('ProseMirror-selectednode');
+        if (!this.view.editable) return;
+
+        this.editor.hidden = false;
+        this.fillFields();
+        // A new image starts with its source to fill in
+        if (!this.node.attrs.src) window.setTimeout(() => this.srcInput.focus());
+    }
+
+    deselectNode() {
+        this.dom.classList.remove('ProseMirror-selectednode');
+        this.editor.hidden = true;
+    }
+
+    update(node, decorations) {
+        if (node.type !== this.node.type) return false;
+
+        this.node = node;
+        this.render(decorations);
+        return true;
+    }
+
+    stopEvent(event) {
+        return this.editor.contains(event.target) || this.handle.contains(event.target);
+    }
+
+    ignoreMutation() {
+        return true;
+    }
+
+    destroy() {
+        this.stopResize();
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * Custom node views for the WYSIWYG editor
+ */
+
+export { ListItemView } from './list-item.js';
+export { FrontMatterView } from './front-matter.js';
+export { FootnoteRefView } from './footnote-ref.js';
+export { MathView } from './math.js';
+export { HtmlBlockView } from './html-block.js';
+export { ImageView } from './image.js';
@@ -0,0 +1,76 @@
+/**
+ * Node view for list items with task list checkbox support
+ * Plain list items render as a bare `<li>`; task items get a clickable checkbox
+ */
+export class ListItemView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The list_item node
+     * @param {import('prosemirror-view').EditorView} view - The editor view
+     * @param {function(): number} getPos - Position getter for the node
+     */
+    constructor(node, view, getPos) {
+        this.node = node;
+        this.view = view;
+        this.getPos = getPos;
+
+        this.dom = document.createElement('li');
+
+        if (node.attrs.checked === null) {
+            this.contentDOM = this.dom;
+            return;
+        }
+
+        this.dom.className = 'task-list-item';
+
+        // Checkbox lives outside contentDOM so ProseMirror never edits it
+        this.checkbox = document.createElement('input');
+        this.checkbox.type = 'checkbox';
+        this.checkbox.contentEditable = 'false';
+        this.checkbox.addEventListener('mousedown', e => e.preventDefault());
+        this.checkbox.addEventListener('click', e => {
+            e.preventDefault();
+            this.toggle();
+        });
+
+        this.contentDOM = document.createElement('div');
+        this.contentDOM.className = 'task-list-item-content';
+
+        this.dom.appendChild(this.checkbox);
+        this.dom.appendChild(this.contentDOM);
+        this.syncChecked();
+    }
+
+    toggle() {
+        if (!this.view.editable) return;
+
+        const pos = this.getPos();
+        if (pos === undefined) return;
+
+        const { attrs } = this.node;
+        this.view.dispatch(this.view.state.tr.setNodeMarkup(pos, null, { ...attrs, checked: !attrs.checked }));
+    }
+
+    syncChecked() {
+        this.checkbox.checked = this.node.attrs.checked;
+        this.dom.setAttribute('data-checked', this.node.attrs.checked ? 'true' : 'false');
+    }
+
+    update(node) {
+        if (node.type !== this.node.type) return false;
+        // Switching between plain and task item needs a different DOM structure
+        if ((node.attrs.checked === null) !== (this.node.attrs.checked === null)) return false;
+
+        this.node = node;
+        if (this.checkbox) this.syncChecked();
+        return true;
+    }
+
+    stopEvent(event) {
+        return !!this.checkbox && event.target === this.checkbox;
+    }
+
+    ignoreMutation(mutation) {
+        // Checkbox state and attribute changes are managed by this view
+        return mutation.type === 'attributes' || (!!this.checkbox && mutation.target === this.checkbox);
+    }
+}
@@ -0,0 +1,83 @@
+import { TextSelection } from 'prosemirror-state';
+import { renderMath } from '../math.js';
+
+/**
+ * Node view for inline and block math
+ * Shows the TeX source while the math plugin marks the node as being edited,
+ * and the rendered preview otherwise
+ */
+export class MathView {
+    /**
+     * @param {import('prosemirror-model').Node} node - The math_inline or math_block node
+     * @param {import('prosemirror-view').EditorView} view - The editor view
+     * @param {function(): number} getPos - Position getter for the node
+     * @param {readonly import('prosemirror-view').Decoration[]} decorations - Node decorations
+     */
+    constructor(node, view, getPos, decorations) {
+        this.node = node;
+        this.view = view;
+        this.getPos = getPos;
+        this.displayMode = node.isBlock;
+        this.renderedSource = null;
+
+        const tag = this.displayMode ? 'div' : 'span';
+        this.dom = document.createElement(tag);
+        this.dom.className = this.displayMode ? 'math-block' : 'math-inline';
+
+        // Preview lives outside contentDOM so ProseMirror never edits it
+        this.preview = document.createElement(tag);
+        this.preview.contentEditable = 'false';
+        this.preview.addEventListener('mousedown', e => {
+            e.preventDefault();
+            this.edit();
+        });
+
+        this.contentDOM = document.createElement(this.displayMode ? 'pre' : 'span');
+        this.contentDOM.className = 'math-source';
+
+        this.dom.appendChild(this.preview);
+        this.dom.appendChild(this.contentDOM);
+        this.setEditing(decorations);
+    }
+
+    // Put the cursor at the end of the source
+    edit() {
+        const pos = this.getPos();
+        if (pos === undefined || !this.view.editable) return;
+
+        const { state } = this.view;
+        this.view.dispatch(state.tr.setSelection(TextSelection.create(state.doc, pos + 1 + this.node.content.size)));
+        this.view.focus();
+    }
+
+    setEditing(decorations) {
+        this.editing = decorations.some(decoration => decoration.spec.mathEditing);
+        this.dom.classList.toggle('editing', this.editing);
+        if (!this.editing) this.renderPreview();
+    }
+
+    renderPreview() {
+        const tex = this.node.textContent;
+        if (tex === this.renderedSource) return;
+
+        this.renderedSource = tex;
+        renderMath(tex, this.preview, this.displayMode);
+    }
+
+    update(node, decorations) {
+        if (node.type !== this.node.type) return false;
+
+        this.node = node;
+        this.setEditing(decorations);
+        return true;
+    }
+
+    stopEvent(event) {
+        return this.preview.contains(event.target);
+    }
+
+    ignoreMutation(mutation) {
+        // Only mutations inside the editable source concern ProseMirror
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target);
+    }
+}
@@ -0,0 +1,390 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Fragment, Slice } from 'prosemirror-model';
+import { isSafeUrl } from './sanitize-html.js';
+
+/**
+ * Cleanup of HTML pasted from Google Docs, Word and web pages
+ *
+ * These mark up structure with styles and their own conventions instead of
+ * the elements the schema parses, so the HTML is rewritten into plain
+ * headings, lists, tables, code blocks and inline formatting first.
+ */
+
+const GOOGLE_DOCS = /id="docs-internal-guid-/;
+const WORD = /urn:schemas-microsoft-com:office|class="?Mso/i;
+
+const MONOSPACE = /\b(courier|consolas|monaco|menlo|monospace|source code|roboto mono|fira (code|mono)|lucida console|jetbrains mono|sf mono)\b/i;
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Elements laid out as blocks, turned into lines inside table cells and code blocks
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol',
+    'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Inline styles mapped to the elements of the marks they stand for
+const INLINE_STYLES = [
+    { tag: 'strong', test: el => /^(bold(er)?|[5-9]\d{2,})$/.test(getStyle(el, 'font-weight')) && !el.closest(HEADINGS) },
+    { tag: 'em', test: el => getStyle(el, 'font-style') === 'italic' },
+    { tag: 's', test: el => /line-through/.test(getStyle(el, 'text-decoration') + getStyle(el, 'text-decoration-line')) },
+    { tag: 'sup', test: el => getStyle(el, 'vertical-align') === 'super' },
+    { tag: 'sub', test: el => getStyle(el, 'vertical-align') === 'sub' },
+    { tag: 'code', test: el => MONOSPACE.test(getStyle(el, 'font-family')) }
+];
+
+/**
+ * Read a property from an element's style attribute. The attribute is read
+ * rather than `style`, which drops properties the browser does not know like
+ * Word's `mso-list`.
+ * @param {Element} el - Element
+ * @param {string} property - CSS property
+ * @returns {string} Lower case value, empty if unset
+ */
+function getStyle(el, property) {
+    const match = new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]*)`, 'i').exec(el.getAttribute('style') || '');
+    return match ? match[1].trim().toLowerCase() : '';
+}
+
+/**
+ * Font size in points
+ * @param {string} value - CSS font size
+ * @returns {number} Size, 0 if not in points or pixels
+ */
+function fontSizeInPoints(value) {
+    const match = /^([\d.]+)(pt|px)$/.exec(value);
+    if (!match) return 0;
+    return match[2] === 'px' ? +match[1] * 0.75 : +match[1];
+}
+
+function unwrap(el) {
+    el.replaceWith(...el.childNodes);
+}
+
+function rename(el, tag) {
+    const replacement = document.createElement(tag);
+    replacement.append(...el.childNodes);
+    el.replaceWith(replacement);
+    return replacement;
+}
+
+function wrapChildren(el, tag) {
+    const wrapper = document.createElement(tag);
+    wrapper.append(...el.childNodes);
+    el.append(wrapper);
+}
+
+function isBlock(node) {
+    return !!node && node.nodeType === 1 && BLOCK_TAGS.has(node.localName);
+}
+
+// Siblings skipping whitespace between elements
+function previousContent(node) {
+    let sibling = node.previousSibling;
+    while (sibling && sibling.nodeType === 3 && !sibling.data.trim()) sibling = sibling.previousSibling;
+    return sibling;
+}
+
+function nextContent(node) {
+    let sibling = node.nextSibling;
+    while (sibling && sibling.nodeType === 3 && !sibling.data.trim()) sibling = sibling.nextSibling;
+    return sibling;
+}
+
+/**
+ * Google Docs wraps the whole selection in a `<b>` of normal weight, styles
+ * all formatting with spans and links through a redirect
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeGoogleDocs(root) {
+    root.querySelectorAll('b[id^="docs-internal-guid-"]').forEach(unwrap);
+
+    for (const link of root.querySelectorAll('a[href^="https://www.google.com/url?"]')) {
+        const target = new window.URL(link.getAttribute('href')).searchParams.get('q');
+        if (target) link.setAttribute('href', target);
+    }
+
+    // Checklist items
+    for (const item of root.querySelectorAll('li[role="checkbox"]')) {
+        item.setAttribute('data-checked', item.getAttribute('aria-checked') === 'true' ? 'true' : 'false');
+    }
+}
+
+/**
+ * Word writes list items as paragraphs with their level in an `mso-list`
+ * style and a typed out marker, and pads empty paragraphs with `<o:p>`
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeWord(root) {
+    root.querySelectorAll('o\\:p').forEach(unwrap);
+    root.querySelectorAll('p.MsoTitle').forEach(el => rename(el, 'h1'));
+    root.querySelectorAll('p.MsoSubtitle').forEach(el => rename(el, 'h2'));
+
+    const isListParagraph = node => node && node.nodeType === 1 && node.localName === 'p' && /level\d+/.test(getStyle(node, 'mso-list'));
+
+    // Each run of consecutive list paragraphs becomes one list, nested by level
+    for (const first of Array.from(root.querySelectorAll('p'))) {
+        // Paragraphs already moved into a list are detached
+        if (!first.parentNode) continue;
+        if (!isListParagraph(first) || isListParagraph(previousContent(first))) continue;
+        const run = [first];
+        for (let next = nextContent(first); isListParagraph(next); next = nextContent(next)) run.push(next);
+
+        const stack = [];
+        for (const paragraph of run) {
+            const level = +/level(\d+)/.exec(getStyle(paragraph, 'mso-list'))[1];
+            const marker = paragraph.querySelector('span[style*="mso-list:Ignore"]');
+            const markerText = marker ? marker.textContent.replace(/\s/g, '') : '';
+            if (marker) marker.remove();
+
+            while (stack.length && stack[stack.length - 1].level > level) stack.pop();
+            let top = stack[stack.length - 1];
+            if (!top || top.level < level) {
+                const ordered = /^[\da-z]{1,4}[.)]$/i.test(markerText);
+                const list = document.createElement(ordered ? 'ol' : 'ul');
+                const start = /^\d+/.exec(markerText);
+                if (ordered && start && +start[0] !== 1) list.setAttribute('start', start[0]);
+                if (top && top.item) top.item.append(list);
+                else paragraph.before(list);
+                top = { level, list, item: null };
+                stack.push(top);
+            }
+
+            const item = document.createElement('li');
+            item.append(rename(paragraph, 'p'));
+            top.list.append(item);
+            top.item = item;
+        }
+    }
+}
+
+/**
+ * Smallest font size text in an element is set in
+ * @param {Element} el - Element
+ * @param {number} inherited - Font size in points set on its ancestors, 0 if unknown
+ * @returns {number} Font size in points
+ */
+function textFontSize(el, inherited) {
+    const size = fontSizeInPoints(getStyle(el, 'font-size')) || inherited;
+    let min = Infinity;
+    for (const child of el.childNodes) {
+        if (child.nodeType === 3 && child.data.trim()) min = Math.min(min, size);
+        else if (child.nodeType === 1) min = Math.min(min, textFontSize(child, size));
+    }
+    return min;
+}
+
+/**
+ * Headings marked up as styled paragraphs: `role="heading"`, or a short
+ * paragraph all in a large font
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeHeadings(root) {
+    for (const el of root.querySelectorAll('[role="heading"]')) {
+        const level = Math.min(6, Math.max(1, +el.getAttribute('aria-level') || 2));
+        rename(el, `h${level}`);
+    }
+
+    for (const paragraph of Array.from(root.querySelectorAll('p'))) {
+        const text = paragraph.textContent.trim();
+        if (!text || text.length > 200 || paragraph.querySelector('br, img')) continue;
+        const size = textFontSize(paragraph, 0);
+        if (size >= 15) rename(paragraph, size >= 24 ? 'h1' : size >= 18 ? 'h2' : 'h3');
+    }
+}
+
+/**
+ * Text of a code block with its lines, from line breaks and elements used as lines
+ * @param {Node} node - Code block or element inside it
+ * @returns {string} Code
+ */
+function codeText(node) {
+    let text = '';
+    for (const child of node.childNodes) {
+        if (child.nodeType === 3) text += child.data;
+        else if (child.nodeType !== 1) continue;
+        else if (child.localName === 'br') text += '\n';
+        else if (isBlock(child)) {
+            const line = codeText(child);
+            text += line.endsWith('\n') ? line : line + '\n';
+        } else text += codeText(child);
+    }
+    return text.replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Code blocks: keep their lines and language, drop highlighting markup
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeCodeBlocks(root) {
+    // Code editors copy code as monospace elements preserving whitespace
+    for (const el of Array.from(root.querySelectorAll('div, p'))) {
+        if (el.parentElement && el.parentElement.closest('pre')) continue;
+        if (/^pre/.test(getStyle(el, 'white-space')) && MONOSPACE.test(getStyle(el, 'font-family'))) rename(el, 'pre');
+    }
+
+    for (const pre of root.querySelectorAll('pre')) {
+        if (pre.parentElement && pre.parentElement.closest('pre')) continue;
+        const code = pre.querySelector('code');
+        const classes = [pre, code, pre.parentElement].filter(Boolean).map(el => el.getAttribute('class') || '').join(' ');
+        const language = pre.getAttribute('data-language') || pre.getAttribute('lang') ||
+            ((/(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/.exec(classes) || [])[1]);
+
+        pre.textContent = codeText(pre).replace(/\n$/, '');
+        if (language && !pre.hasAttribute('data-params')) pre.setAttribute('data-params', language);
+    }
+}
+
+/**
+ * Formatting in styled spans becomes elements, and wrappers of normal
+ * weight stop reading as bold
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeInlineStyles(root) {
+    for (const el of Array.from(root.querySelectorAll('span, font'))) {
+        if (el.closest('pre, code')) continue;
+        if (el.textContent.trim()) {
+            for (const { tag, test } of INLINE_STYLES) {
+                if (test(el)) wrapChildren(el, tag);
+            }
+        }
+        unwrap(el);
+    }
+
+    for (const el of Array.from(root.querySelectorAll('b, strong'))) {
+        if (/^(normal|[1-4]\d{2})$/.test(getStyle(el, 'font-weight'))) unwrap(el);
+    }
+}
+
+/**
+ * Nested lists written directly inside their parent list instead of an item
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeLists(root) {
+    for (const list of Array.from(root.querySelectorAll('ul > ul, ul > ol, ol > ul, ol > ol'))) {
+        let item = list.previousElementSibling;
+        if (!item || item.localName !== 'li') {
+            item = document.createElement('li');
+            list.before(item);
+        }
+        item.append(list);
+    }
+
+    // Lists of single paragraphs are written without blank lines between items
+    for (const list of root.querySelectorAll('ul, ol')) {
+        const items = Array.from(list.children).filter(child => child.localName === 'li');
+        if (items.every(item => item.querySelectorAll(':scope > p').length <= 1)) list.setAttribute('data-tight', 'true');
+    }
+}
+
+/**
+ * Tables as markdown can hold them: one line of inline content per cell,
+ * a header row and no merged columns. Single cell tables used for layout
+ * are replaced by their content.
+ * @param {DocumentFragment} root - Pasted content
+ */
+function normalizeTables(root) {
+    for (const table of Array.from(root.querySelectorAll('table')).reverse()) {
+        const cells = table.querySelectorAll('td, th');
+        if (cells.length === 1 && !table.querySelector('table')) {
+            table.replaceWith(...cells[0].childNodes);
+            continue;
+        }
+        const caption = table.querySelector(':scope > caption');
+        if (caption) table.before(rename(caption, 'p'));
+    }
+
+    for (const cell of Array.from(root.querySelectorAll('td, th'))) {
+        if (cell.parentElement.closest('td, th')) continue;
+        // Innermost blocks first, each becoming a line of the cell
+        for (const block of Array.from(cell.querySelectorAll('*')).filter(isBlock).reverse()) {
+            const previous = previousContent(block);
+            if (previous && !(previous.nodeType === 1 && previous.localName === 'br')) block.before(document.createElement('br'));
+            if (block.localName === 'hr') block.remove();
+            else unwrap(block);
+        }
+
+        const span = +cell.getAttribute('colspan');
+        cell.removeAttribute('colspan');
+        for (let i = 1; i < span; i++) cell.after(document.createElement(cell.localName));
+    }
+
+    for (const table of root.querySelectorAll('table')) {
+        const header = table.querySelector('tr');
+        if (header && !header.querySelector('th')) header.querySelectorAll('td').forEach(cell => rename(cell, 'th'));
+    }
+}
+
+/**
+ * Drop paragraphs with nothing in them, which markdown cannot keep, and line
+ * breaks used as spacing between blocks
+ * @param {DocumentFragment} root - Pasted content
+ */
+function removeSpacing(root) {
+    for (const el of Array.from(root.querySelectorAll(`p, div, ${HEADINGS}`)).reverse()) {
+        if (!el.textContent.replace(/\s/g, '') && !el.querySelector('img, hr, table, pre')) el.remove();
+    }
+    for (const br of Array.from(root.querySelectorAll('br'))) {
+        if (br.closest('td, th, pre')) continue;
+        const previous = previousContent(br), next = nextContent(br);
+        if ((!previous || isBlock(previous)) && (!next || isBlock(next))) br.remove();
+    }
+}
+
+/**
+ * Rewrite pasted HTML into markup the markdown schema parses
+ * @param {string} html - Clipboard HTML
+ * @returns {string} Cleaned up HTML
+ */
+export function cleanPastedHtml(html) {
+    // Content copied from the editor itself already matches the schema
+    if (/data-pm-slice/.test(html)) return html;
+
+    // A template's content is inert: nothing loads or runs while parsing
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const root = template.content;
+
+    if (GOOGLE_DOCS.test(html)) normalizeGoogleDocs(root);
+    if (WORD.test(html)) normalizeWord(root);
+    normalizeCodeBlocks(root);
+    normalizeHeadings(root);
+    normalizeInlineStyles(root);
+    normalizeLists(root);
+    normalizeTables(root);
+    removeSpacing(root);
+
+    return template.innerHTML;
+}
+
+/**
+ * Remove links and images with URLs that could run scripts
+ * @param {Fragment} fragment - Pasted content
+ * @returns {Fragment} Content without them
+ */
+function removeUnsafeUrls(fragment) {
+    const nodes = [];
+    fragment.forEach(node => {
+        if (node.type.name === 'image' && !isSafeUrl(node.attrs.src)) return;
+        const marks = node.marks.filter(mark => mark.type.name !== 'link' || isSafeUrl(mark.attrs.href));
+        const content = node.isLeaf ? node : node.copy(removeUnsafeUrls(node.content));
+        nodes.push(content.mark(marks));
+    });
+    return Fragment.from(nodes);
+}
+
+/**
+ * Plugin cleaning up pasted HTML before it is parsed, and the parsed content
+ * before it is inserted
+ * @returns {Plugin} Paste cleanup plugin
+ */
+export function pasteCleanupPlugin() {
+    return new Plugin({
+        key: new PluginKey('pasteCleanup'),
+        props: {
+            transformPastedHTML: html => cleanPastedHtml(html),
+            transformPasted: slice => new Slice(removeUnsafeUrls(slice.content), slice.openStart, slice.openEnd)
+        }
+    });
+}
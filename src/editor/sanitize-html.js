@@ -0,0 +1,79 @@
+/**
+ * HTML sanitizer for previews of raw HTML
+ * Keeps an allowlist of presentational elements and attributes, drops
+ * everything else including scripts, event handlers and `javascript:` URLs
+ */
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 'q',
+    'rp', 'rt', 'ruby', 's', 'samp', 'small', 'source', 'span', 'strike', 'strong', 'sub', 'summary',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+]);
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'select']);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'align', 'alt', 'cite', 'colspan', 'datetime', 'dir', 'height', 'href', 'lang', 'media', 'open',
+    'rowspan', 'scope', 'src', 'srcset', 'start', 'title', 'type', 'valign', 'width'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+/**
+ * Check whether a URL is safe to keep in a preview
+ * @param {string} url - Attribute value
+ * @returns {boolean} False for script and unknown schemes
+ */
+export function isSafeUrl(url) {
+    const scheme = /^\s*([a-z][a-z0-9+.-]*):/i.exec(url);
+    if (!scheme) return true;
+    if (scheme[1].toLowerCase() === 'data') return /^\s*data:image\/(png|gif|jpe?g|webp);/i.test(url);
+    return /^(https?|mailto|ftp)$/i.test(scheme[1]);
+}
+
+function sanitizeNode(node) {
+    for (const child of Array.from(node.childNodes)) {
+        // Text nodes (3) are kept, comments and other non-elements (not 1) dropped
+        if (child.nodeType === 3) continue;
+        if (child.nodeType !== 1) {
+            child.remove();
+            continue;
+        }
+
+        const tag = child.localName;
+        if (DROPPED_TAGS.has(tag)) {
+            child.remove();
+            continue;
+        }
+
+        sanitizeNode(child);
+        if (!ALLOWED_TAGS.has(tag)) {
+            // Unknown elements are unwrapped so their text survives
+            child.replaceWith(...child.childNodes);
+            continue;
+        }
+
+        for (const { name, value } of Array.from(child.attributes)) {
+            if (!ALLOWED_ATTRIBUTES.has(name) || (URL_ATTRIBUTES.has(name) && !isSafeUrl(value))) {
+                child.removeAttribute(name);
+            }
+        }
+        if (tag === 'a') child.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+/**
+ * Parse HTML into a sanitized fragment
+ * @param {string} html - Untrusted HTML
+ * @returns {DocumentFragment} Fragment safe to insert into the page
+ */
+export function sanitizeHtml(html) {
+    // A template's content is inert: nothing loads or runs while parsing
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return document.importNode(template.content, true);
+}
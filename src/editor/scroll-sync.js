@@ -0,0 +1,164 @@
+/**
+ * Scroll synchronization between the WYSIWYG and markdown panes
+ *
+ * Each block of the document gives an anchor: the offset of its element in
+ * the WYSIWYG pane paired with the offset of its first source line in the
+ * markdown pane. Scrolling one pane interpolates between the anchors around
+ * its scroll position, so the block at the top of one pane is at the top of
+ * the other, and the space between blocks is stretched to fit when one side
+ * is much taller. The ends of both panes are anchors too, so they reach the
+ * top and bottom together.
+ */
+
+/**
+ * @typedef {Array<[HTMLElement, HTMLElement]>} AnchorElements - Pairs of a
+ *     WYSIWYG block element and the markdown line element it comes from
+ */
+
+// How long a pane keeps control after its last scroll event, in ms
+const DRIVER_TIMEOUT = 150;
+
+/**
+ * Offset of an element from the top of a scroll container's content
+ * @param {HTMLElement} pane - Scroll container
+ * @param {HTMLElement} element - Element inside it
+ * @returns {number} Offset in pixels
+ */
+function offsetIn(pane, element) {
+    return element.getBoundingClientRect().top - pane.getBoundingClientRect().top + pane.scrollTop;
+}
+
+/**
+ * Map a value through a piecewise-linear function
+ * @param {Array<[number, number]>} points - Points sorted on both coordinates
+ * @param {number} value - Value on the `from` axis
+ * @param {number} from - Axis index of the value, 0 or 1
+ * @returns {number} Value on the other axis
+ */
+function interpolate(points, value, from) {
+    const to = 1 - from;
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1], end = points[i];
+        if (value > end[from] && i < points.length - 1) continue;
+        const span = end[from] - start[from];
+        const ratio = span > 0 ? Math.min(1, Math.max(0, (value - start[from]) / span)) : 0;
+        return start[to] + ratio * (end[to] - start[to]);
+    }
+    return points.length ? points[0][to] : 0;
+}
+
+export class ScrollSync {
+    /**
+     * @param {HTMLElement} wysiwygPane - Scroll container of the WYSIWYG view
+     * @param {HTMLElement} markdownPane - Scroll container of the markdown view
+     * @param {() => AnchorElements|null} getAnchorElements - Anchor elements,
+     *     null while the panes are not shown side by side
+     */
+    constructor(wysiwygPane, markdownPane, getAnchorElements) {
+        this.panes = [wysiwygPane, markdownPane];
+        this.getAnchorElements = getAnchorElements;
+        this.enabled = true;
+        this.points = null;
+        this.measuredSizes = null;
+
+        // The pane the user scrolls drives the other one until it settles
+        this.driver = null;
+        this.releaseTimer = null;
+        this.frame = null;
+
+        this.handlers = this.panes.map((pane, index) => {
+            const handler = () => this.handleScroll(index);
+            pane.addEventListener('scroll', handler, { passive: true });
+            return handler;
+        });
+    }
+
+    handleScroll(index) {
+        if (!this.enabled || (this.driver !== null && this.driver !== index)) return;
+
+        this.claim(index);
+        if (this.frame === null) {
+            this.frame = window.requestAnimationFrame(() => {
+                this.frame = null;
+                this.sync(index);
+            });
+        }
+    }
+
+    // Let a pane drive the other until it stops scrolling
+    claim(index) {
+        this.driver = index;
+        window.clearTimeout(this.releaseTimer);
+        this.releaseTimer = window.setTimeout(() => { this.driver = null; }, DRIVER_TIMEOUT);
+    }
+
+    /**
+     * Scroll the other pane to match one
+     * @param {number} index - Pane to follow: 0 for WYSIWYG, 1 for markdown
+     */
+    sync(index) {
+        if (!this.enabled) return;
+        const points = this.measure();
+        if (!points) return;
+
+        const target = this.panes[1 - index];
+        const top = Math.round(interpolate(points, this.panes[index].scrollTop, index));
+        if (Math.abs(target.scrollTop - top) >= 1) {
+            // The scroll event this causes must not scroll the pane back
+            if (this.driver === null) this.claim(index);
+            target.scrollTop = top;
+        }
+    }
+
+    /**
+     * Measure the anchors, reusing the last measurement while nothing changed
+     * @returns {Array<[number, number]>|null} Scroll offsets of the anchors in
+     *     both panes, null if the panes are not side by side
+     */
+    measure() {
+        const sizes = this.panes.map(pane => `${pane.scrollHeight}:${pane.clientHeight}`).join();
+        if (this.points && sizes === this.measuredSizes) return this.points;
+
+        const elements = this.getAnchorElements();
+        if (!elements) return null;
+
+        const [wysiwyg, markdown] = this.panes;
+        const max = this.panes.map(pane => Math.max(0, pane.scrollHeight - pane.clientHeight));
+        const anchors = elements
+            .map(([a, b]) => [offsetIn(wysiwyg, a), offsetIn(markdown, b)])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        // Keep the anchors in order on both sides; blocks that moved, such as
+        // footnotes gathered at the end, and the last screen are left out
+        const points = [[0, 0]];
+        for (const [a, b] of anchors) {
+            const last = points[points.length - 1];
+            if (a > last[0] && b > last[1] && a < max[0] && b < max[1]) points.push([a, b]);
+        }
+        points.push(max);
+
+        this.points = points;
+        this.measuredSizes = sizes;
+        return points;
+    }
+
+    // Drop the measured anchors, e.g. after the content changed
+    invalidate() {
+        this.points = null;
+    }
+
+    /**
+     * Turn synchronization on or off
+     * @param {boolean} enabled - Whether scrolling one pane scrolls the other
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.driver = null;
+    }
+
+    destroy() {
+        this.panes.forEach((pane, index) => pane.removeEventListener('scroll', this.handlers[index]));
+        window.clearTimeout(this.releaseTimer);
+        if (this.frame !== null) window.cancelAnimationFrame(this.frame);
+    }
+}
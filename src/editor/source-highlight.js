@@ -0,0 +1,261 @@
+import { Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+
+/**
+ * Markdown syntax highlighting for the source editor
+ * A line-based tokenizer classifies each line (heading, fenced code, quote,
+ * ...) and marks up the inline syntax inside it; the plugin turns the result
+ * into node decorations on the lines and inline decorations on the spans.
+ * It is a highlighter, not a parser: it follows the common cases and errs
+ * on the side of highlighting less.
+ */
+
+/**
+ * @typedef {[number, number, string]} HighlightSpan - Start and end column and class
+ *
+ * @typedef {Object} LineHighlight
+ * @property {string|null} lineClass - Class for the whole line
+ * @property {HighlightSpan[]} spans - Highlighted spans within the line
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const HR = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const QUOTE_MARKERS = /^(?: {0,3}> ?)+/;
+const LIST_MARKER = /^([ \t]*)([-+*]|\d{1,9}[.)])(?=[ \t]|$)/;
+const TASK_BOX = /^[ \t]+(\[[ xX]\])(?=[ \t]|$)/;
+const DEFINITION = /^ {0,3}(\[(?:[^\]\\]|\\.)+\]:)[ \t]*(\S*)(.*)$/;
+
+// Inline rules, tried in order; earlier matches win over later overlapping ones
+const INLINE_RULES = [
+    { pattern: /\\[!-/:-@[-`{-~]/g, spans: m => [[0, m[0].length, 'md-escape']] },
+    { pattern: /\$(`+)(?!`).*?[^`]\1\$/g, spans: m => [[0, m[0].length, 'md-math']], opaque: true },
+    { pattern: /(`+)(?:.*?[^`])\1(?!`)/g, spans: m => [[0, m[0].length, 'md-code']], opaque: true },
+    { pattern: /\$(?=[^\s$])(?:[^$]*?[^\s\\$])?\$(?!\d)/g, spans: m => [[0, m[0].length, 'md-math']], opaque: true },
+    { pattern: /<[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*>/g, spans: m => [[0, m[0].length, 'md-link-url']], opaque: true },
+    { pattern: /<!--.*?-->|<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>/g, spans: m => [[0, m[0].length, 'md-html']], opaque: true },
+    { pattern: /\[\^[^\]\s]+\]/g, spans: m => [[0, m[0].length, 'md-footnote-ref']], opaque: true },
+    {
+        // Links and images with an inline destination or a reference label, images with a width
+        pattern: /(!?\[)((?:[^\]\\]|\\.)*)(\]\((?:[^()\s\\]|\\.)*(?:[ \t]+(?:"[^"]*"|'[^']*'))?\)(?:\{width=[^}\s]*\})?|\]\[[^\]]*\])/g,
+        spans: m => {
+            const text = m[1].length, end = text + m[2].length;
+            return [[0, text, 'md-markup'], [text, end, 'md-link-text'], [end, m[0].length, 'md-link-url']];
+        }
+    },
+    { pattern: /(\*\*|__)(?=\S)(.*?\S)\1/g, spans: m => delimited(m, 'md-strong') },
+    { pattern: /(\*|\b_)(?=[^\s*_])(.*?[^\s\\])\1(?!\w)/g, spans: m => delimited(m, 'md-em') },
+    { pattern: /(~~)(?=\S)(.*?\S)\1/g, spans: m => delimited(m, 'md-strike') },
+    { pattern: /(==)(?=\S)(.*?\S)\1/g, spans: m => delimited(m, 'md-highlight') }
+];
+
+/**
+ * Spans for text between a repeated delimiter, e.g. `**strong**`
+ * @param {RegExpExecArray} match - Match with the delimiter as group 1
+ * @param {string} className - Class for the whole span
+ * @returns {HighlightSpan[]} Spans relative to the match
+ */
+function delimited(match, className) {
+    const size = match[1].length, length = match[0].length;
+    return [[0, length, className], [0, size, 'md-markup'], [length - size, length, 'md-markup']];
+}
+
+/**
+ * Highlight the inline syntax of a line
+ * @param {string} text - Line text
+ * @param {number} start - Column where inline content starts
+ * @param {HighlightSpan[]} spans - Spans to add to
+ */
+function highlightInline(text, start, spans) {
+    // Code, math and HTML are opaque: nothing inside them is highlighted.
+    // Markup and escapes belong to one match only, so `**` is not also two `*`
+    const opaque = [], markup = [];
+    const overlaps = (ranges, from, to) => ranges.some(([a, b]) => from < b && to > a);
+
+    for (const rule of INLINE_RULES) {
+        rule.pattern.lastIndex = start;
+        let match;
+        while ((match = rule.pattern.exec(text))) {
+            const from = match.index, to = from + match[0].length;
+            const found = rule.spans(match).map(([a, b, className]) => [from + a, from + b, className]);
+            const delimiters = found.filter(span => span[2] === 'md-markup' || span[2] === 'md-escape');
+            if (overlaps(opaque, from, to) || delimiters.some(([a, b]) => overlaps(markup, a, b))) {
+                // Retry right after the start, a later match may still fit
+                rule.pattern.lastIndex = from + 1;
+                continue;
+            }
+            spans.push(...found);
+            markup.push(...delimiters);
+            if (rule.opaque) opaque.push([from, to]);
+        }
+    }
+}
+
+/**
+ * Highlight markdown source line by line
+ * @param {string[]} lines - Source lines
+ * @returns {LineHighlight[]} Highlighting for each line
+ */
+export function highlightMarkdown(lines) {
+    const result = [];
+    let fence = null, math = false, frontMatter = null, paragraph = false;
+
+    lines.forEach((text, i) => {
+        const line = { lineClass: null, spans: [] };
+        result.push(line);
+        const whole = className => line.spans.push([0, text.length, className]);
+
+        // Front matter: only at the very start of the document
+        if (i === 0 && /^(---|\+\+\+)[ \t]*$/.test(text)) {
+            frontMatter = text.trim();
+            line.lineClass = 'md-front-matter';
+            whole('md-markup');
+            return;
+        }
+        if (frontMatter) {
+            line.lineClass = 'md-front-matter';
+            if (text.trim() === frontMatter) {
+                frontMatter = null;
+                whole('md-markup');
+            }
+            return;
+        }
+
+        // Inside a fenced code or math block
+        if (fence) {
+            line.lineClass = 'md-code-block';
+            const close = FENCE.exec(text);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length && !close[2].trim()) {
+                fence = null;
+                whole('md-markup');
+            }
+            return;
+        }
+        if (math) {
+            line.lineClass = 'md-math-block';
+            if (text.trimEnd().endsWith('$$')) math = false;
+            return;
+        }
+
+        if (!text.trim()) {
+            paragraph = false;
+            return;
+        }
+
+        let match = FENCE.exec(text);
+        if (match && !(match[1][0] === '`' && match[2].includes('`'))) {
+            fence = match[1];
+            line.lineClass = 'md-code-block';
+            const end = text.indexOf(match[1]) + match[1].length;
+            line.spans.push([0, end, 'md-markup']);
+            if (match[2].trim()) line.spans.push([end, text.length, 'md-fence-info']);
+            paragraph = false;
+            return;
+        }
+        if (/^ {0,3}\$\$/.test(text)) {
+            const rest = text.trim().slice(2);
+            math = !rest.endsWith('$$');
+            line.lineClass = 'md-math-block';
+            paragraph = false;
+            return;
+        }
+
+        // A setext underline turns the paragraph line above into a heading
+        if (paragraph && SETEXT_UNDERLINE.test(text)) {
+            const level = text.trim()[0] === '=' ? 1 : 2;
+            result[i - 1].lineClass = `md-heading md-heading-${level}`;
+            line.lineClass = `md-heading md-heading-${level}`;
+            whole('md-markup');
+            paragraph = false;
+            return;
+        }
+        if (HR.test(text)) {
+            line.lineClass = 'md-hr';
+            whole('md-markup');
+            paragraph = false;
+            return;
+        }
+
+        // Container markers: blockquotes, then a list item marker and task box
+        let start = 0;
+        const classes = [];
+        if ((match = QUOTE_MARKERS.exec(text))) {
+            classes.push('md-quote');
+            line.spans.push([0, match[0].length, 'md-markup']);
+            start = match[0].length;
+        }
+        if ((match = LIST_MARKER.exec(text.slice(start)))) {
+            const markerStart = start + match[1].length;
+            start += match[0].length;
+            line.spans.push([markerStart, start, 'md-list-marker']);
+            const task = TASK_BOX.exec(text.slice(start));
+            if (task) {
+                line.spans.push([start + task[0].length - task[1].length, start + task[0].length, 'md-task']);
+                start += task[0].length;
+            }
+        }
+
+        const rest = text.slice(start);
+        if ((match = ATX_HEADING.exec(rest))) {
+            classes.push(`md-heading md-heading-${match[1].length}`);
+            const end = start + rest.indexOf(match[1]) + match[1].length;
+            line.spans.push([start, end, 'md-markup']);
+            start = end;
+            paragraph = false;
+        } else if (!classes.length && (match = DEFINITION.exec(text))) {
+            classes.push('md-link-definition');
+            const label = text.indexOf(match[1]), url = text.indexOf(match[2], label + match[1].length);
+            line.spans.push([label, label + match[1].length, 'md-link-text']);
+            if (match[2]) line.spans.push([url, url + match[2].length, 'md-link-url']);
+            paragraph = false;
+        } else {
+            paragraph = true;
+        }
+
+        line.lineClass = classes.join(' ') || null;
+        highlightInline(text, start, line.spans);
+    });
+
+    return result;
+}
+
+export const sourceHighlightKey = new PluginKey('sourceHighlight');
+
+/**
+ * Build the highlighting decorations for a source document
+ * @param {import('prosemirror-model').Node} doc - Document of `line` nodes
+ * @returns {DecorationSet} Decorations
+ */
+function buildDecorations(doc) {
+    const lines = [];
+    doc.forEach(line => lines.push(line.textContent));
+    const highlights = highlightMarkdown(lines);
+
+    const decorations = [];
+    doc.forEach((line, pos, i) => {
+        const { lineClass, spans } = highlights[i];
+        if (lineClass) decorations.push(Decoration.node(pos, pos + line.nodeSize, { class: lineClass }));
+        for (const [from, to, className] of spans) {
+            if (to > from) decorations.push(Decoration.inline(pos + 1 + from, pos + 1 + to, { class: className }));
+        }
+    });
+    return DecorationSet.create(doc, decorations);
+}
+
+/**
+ * Create the source highlighting plugin
+ * @returns {Plugin} Highlighting plugin
+ */
+export function sourceHighlightPlugin() {
+    return new Plugin({
+        key: sourceHighlightKey,
+        state: {
+            init: (_, state) => buildDecorations(state.doc),
+            apply: (tr, decorations) => tr.docChanged ? buildDecorations(tr.doc) : decorations
+        },
+        props: {
+            decorations: state => sourceHighlightKey.getState(state)
+        }
+    });
+}
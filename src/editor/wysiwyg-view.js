@@ -1,24 +1,52 @@
-import { EditorState, Plugin, PluginKey } from 'prosemirror-state';
+import { EditorState, Plugin, PluginKey, TextSelection } from 'prosemirror-state';
 import { EditorView } from 'prosemirror-view';
 import { history } from 'prosemirror-history';
 import { keymap } from 'prosemirror-keymap';
 import { baseKeymap } from 'prosemirror-commands';
 import { dropCursor } from 'prosemirror-dropcursor';
 import { gapCursor } from 'prosemirror-gapcursor';
-import { markdownSchema } from '../markdown/schema.js';
-import { parseMarkdown } from '../markdown/parser.js';
-import { serializeMarkdown } from '../markdown/serializer.js';
+import { defaultFormat } from '../markdown/extensions.js';
 import { menuPlugin, createKeymap } from './menu.js';
-import { createInputRules } from './inputrules.js';
+import { buildInputRules } from './inputrules.js';
+import { footnotePlugin } from './footnotes.js';
+import { frontMatterGuardPlugin } from './front-matter.js';
+import { mathPlugin } from './math.js';
+import { markdownClipboard } from './clipboard.js';
+import { pasteCleanupPlugin } from './paste-html.js';
+import { linkEditorPlugin } from './link-editor.js';
+import { imageFigurePlugin, imageUploadPlugin } from './images.js';
+import { ListItemView, FrontMatterView, FootnoteRefView, MathView, HtmlBlockView, ImageView } from './node-views/index.js';
+import { replaceChangedFunc } from '../commands/transforms.js';
+import { sharedHistory } from './history.js';
 
 /**
  * ProseMirror-based WYSIWYG view for markdown editing
  * Provides rich text editing with markdown serialization
  */
 export class ProseMirrorView {
-    constructor(target, content = '') {
+    /**
+     * @param {HTMLElement} target - Element to create the editor in
+     * @param {string} [content=''] - Initial markdown
+     * @param {Object} [options]
+     * @param {import('../markdown/extensions.js').MarkdownFormat} [options.format] -
+     *     Schema, parser and serializer with their extensions, defaults to the built-in ones
+     * @param {boolean} [options.toolbar=true] - Show the formatting toolbar
+     * @param {Plugin[]} [options.plugins] - Extra plugins, run after the built-in ones
+     * @param {Object<string, Function>} [options.nodeViews] - Extra node views,
+     *     replacing built-in ones for the same node type
+     * @param {(file: File) => Promise<string>} [options.uploadImage] - Upload an
+     *     image file dropped or pasted into the editor and resolve to its URL,
+     *     embeds it as a data URL by default
+     */
+    constructor(target, content = '', options = {}) {
         this.target = target;
+        this.options = options;
+        this.format = options.format || defaultFormat;
+        this.schema = this.format.schema;
         this.view = null;
+        // Shared document history; the view's own history is used while unset
+        this.history = null;
+        this.editable = true;
         this.init(content);
     }
 
@@ -26,35 +54,73 @@ export class ProseMirrorView {
         // Clear the target container
         this.target.innerHTML = '';
 
+        const { schema, format } = this;
+
         // Parse initial markdown content
         let doc;
         try {
-            doc = parseMarkdown(content || '# Welcome\n\nStart editing...');
+            doc = format.parse(content || '');
         } catch (error) {
-            console.warn('Failed to parse markdown, using default:', error);
-            doc = markdownSchema.node('doc', null, [
-                markdownSchema.node('heading', { level: 1 }, [markdownSchema.text('Welcome')]),
-                markdownSchema.node('paragraph', null, [markdownSchema.text('Start editing...')])
-            ]);
+            console.warn('Failed to parse markdown, starting empty:', error);
+            doc = schema.topNodeType.createAndFill();
         }
 
+        // Editing parts contributed by extensions
+        const { extensions } = format;
+        const fromExtensions = field => extensions.flatMap(extension =>
+            extension[field] ? extension[field](schema) : []);
+
         // Create editor state with custom plugins
         const state = EditorState.create({
             doc,
             plugins: [
                 // Core editing plugins
                 history(),
+                sharedHistory(() => this.history),
                 dropCursor(),
                 gapCursor(),
 
                 // Markdown input rules for smart typing
-                createInputRules(),
+                buildInputRules(schema, fromExtensions('inputRules')),
 
-                createKeymap(markdownSchema),
+                // Extension key bindings come first to take precedence
+                ...extensions.filter(extension => extension.keymap)
+                    .map(extension => keymap(extension.keymap(schema))),
+                createKeymap(schema),
+                keymap({ 'Mod-s': () => this.requestSave() }),
                 keymap(baseKeymap),
 
                 // Custom menu plugin
-                menuPlugin(markdownSchema),
+                ...(this.options.toolbar !== false ? [menuPlugin(schema, extensions
+                    .filter(extension => extension.menuItems)
+                    .map(extension => extension.menuItems(schema)))] : []),
+
+                // Front matter can't hold a line ending it early
+                frontMatterGuardPlugin({ onReject: error => this.reportEditError(error) }),
+
+                // Footnote numbering and renumbering
+                footnotePlugin(),
+
+                // Math source/preview switching
+                mathPlugin(),
+
+                // Link editing popover, opened with Mod-k or the toolbar
+                linkEditorPlugin(),
+
+                // Images alone in a paragraph with a title show as figures
+                imageFigurePlugin(),
+
+                // Image files dropped or pasted are uploaded where they were put
+                imageUploadPlugin({
+                    uploadImage: this.options.uploadImage,
+                    onError: (error, file) => this.reportUploadError(error, file)
+                }),
+
+                // Pasting plain text as markdown and copying as markdown
+                markdownClipboard(format),
+
+                // Cleanup of HTML pasted from word processors and web pages
+                pasteCleanupPlugin(),
 
                 // Custom styling plugin for markdown-like appearance
                 this.createMarkdownStylingPlugin(),
@@ -63,7 +129,11 @@ export class ProseMirrorView {
                 keymap({
                     'Tab': () => true,        // Prevent default tab behavior
                     'Shift-Tab': () => true   // Prevent default shift-tab behavior
-                })
+                }),
+
+                // Plugins of the extensions and passed in by the embedding code
+                ...fromExtensions('plugins'),
+                ...(this.options.plugins || [])
             ]
         });
 
@@ -73,6 +143,7 @@ export class ProseMirrorView {
             // Custom node views for enhanced markdown editing
             nodeViews: this.getNodeViews(),
             // Handle various editor events
+            editable: () => this.editable,
             dispatchTransaction: this.dispatchTransaction.bind(this)
         });
 
@@ -94,8 +165,22 @@ export class ProseMirrorView {
 
     getNodeViews() {
         return {
-            // Custom node views can be added here for special rendering
-            // For example, custom image rendering, code block syntax highlighting, etc.
+            // Task list items render a clickable checkbox
+            list_item: (node, view, getPos) => new ListItemView(node, view, getPos),
+            // Front matter renders as a collapsible raw metadata block
+            front_matter: node => new FrontMatterView(node),
+            // Footnote references show their number rather than their label
+            footnote_ref: (node, view, getPos, decorations) => new FootnoteRefView(node, view, getPos, decorations),
+            // Math shows its TeX source while edited and a rendered preview otherwise
+            math_inline: (node, view, getPos, decorations) => new MathView(node, view, getPos, decorations),
+            math_block: (node, view, getPos, decorations) => new MathView(node, view, getPos, decorations),
+            // Raw HTML blocks show their source, with an optional sanitized preview
+            html_block: node => new HtmlBlockView(node),
+            // Images get a resize handle and an attribute editor while selected
+            image: (node, view, getPos, decorations) => new ImageView(node, view, getPos, decorations),
+            // Node views of the extensions and passed in by the embedding code
+            ...Object.assign({}, ...this.format.extensions.map(extension => extension.nodeViews)),
+            ...this.options.nodeViews
         };
     }
 
@@ -116,14 +201,44 @@ export class ProseMirrorView {
             this.target.dispatchEvent(new CustomEvent('content-changed', {
                 detail: { content: this.getContent(), source }
             }));
+        } else if (transaction.selectionSet && transaction.getMeta('source') !== 'sync') {
+            // Selection-only changes; a changed doc is reported as content instead
+            if (this.onSelectionChange && typeof this.onSelectionChange === 'function') {
+                this.onSelectionChange(this.getSelection());
+            }
         }
     }
 
+    // Tell the error callback why an edit was refused, or warn without one
+    reportEditError(error) {
+        if (this.onEditError && typeof this.onEditError === 'function') {
+            this.onEditError(error);
+        } else {
+            console.warn('Edit refused:', error.message);
+        }
+    }
+
+    // Tell the error callback about a failed upload, or warn without one
+    reportUploadError(error, file) {
+        if (this.onUploadError && typeof this.onUploadError === 'function') {
+            this.onUploadError(error, file);
+        } else {
+            console.warn('Failed to upload image:', error);
+        }
+    }
+
+    // Call the save callback if set; without one the browser handles the key
+    requestSave() {
+        if (!this.onSave || typeof this.onSave !== 'function') return false;
+        this.onSave();
+        return true;
+    }
+
     getContent() {
         if (!this.view) return '';
 
         try {
-            return serializeMarkdown(this.view.state.doc);
+            return this.format.serialize(this.view.state.doc);
         } catch (error) {
             console.error('Failed to serialize document:', error);
             return '';
@@ -134,7 +249,7 @@ export class ProseMirrorView {
         if (!this.view) return;
 
         try {
-            const doc = parseMarkdown(content);
+            const doc = this.format.parse(content);
             const state = EditorState.create({
                 doc,
                 plugins: this.view.state.plugins
@@ -149,19 +264,10 @@ export class ProseMirrorView {
         if (!this.view) return;
 
         try {
-            const doc = parseMarkdown(content);
+            const doc = this.format.parse(content);
 
             if (options.preserveHistory) {
-                // Replace the entire document while preserving history
-                const tr = this.view.state.tr;
-                tr.replaceWith(0, this.view.state.doc.content.size, doc.content);
-
-                // Add source metadata to prevent feedback loops
-                if (options.source) {
-                    tr.setMeta('source', options.source);
-                }
-
-                this.view.dispatch(tr);
+                this.replaceDocument(doc, options);
             } else {
                 // Create new state (this will reset history)
                 const state = EditorState.create({
@@ -175,12 +281,48 @@ export class ProseMirrorView {
         }
     }
 
+    /**
+     * Replace the document with another one, changing only what differs
+     * @param {import('prosemirror-model').Node} doc - New document
+     * @param {Object} [options]
+     * @param {string} [options.source] - Source metadata for the transaction
+     * @param {boolean} [options.addToHistory=true] - Whether the view's own history records it
+     */
+    replaceDocument(doc, options = {}) {
+        if (!this.view) return;
+
+        // Replace only what changed, so history steps stay small and the
+        // selection maps through
+        const tr = this.view.state.tr;
+        if (!replaceChangedFunc(tr, doc)) return;
+
+        // Add source metadata to prevent feedback loops
+        if (options.source) {
+            tr.setMeta('source', options.source);
+        }
+        if (options.addToHistory === false) {
+            tr.setMeta('addToHistory', false);
+        }
+
+        this.view.dispatch(tr);
+    }
+
     focus() {
         if (this.view) {
             this.view.focus();
         }
     }
 
+    /**
+     * Allow or prevent editing by the user
+     * @param {boolean} editable - Whether the document can be edited
+     */
+    setEditable(editable) {
+        this.editable = editable;
+        // The view reads the editable prop again when updated
+        if (this.view) this.view.setProps({});
+    }
+
     destroy() {
         if (this.view) {
             this.view.destroy();
@@ -199,6 +341,78 @@ export class ProseMirrorView {
         return this.view ? this.view.state.doc : null;
     }
 
+    /**
+     * Get the DOM element rendering the block at a position
+     * @param {number} pos - Position before the block
+     * @returns {HTMLElement|null} Element, null if the block renders none
+     */
+    getBlockElement(pos) {
+        const dom = this.view ? this.view.nodeDOM(pos) : null;
+        return dom && dom.nodeType === 1 ? dom : null;
+    }
+
+    /**
+     * Get the raw front matter of the document
+     * @returns {{markup: string, text: string}|null} Fence and content, or null without front matter
+     */
+    getFrontMatter() {
+        const first = this.view ? this.view.state.doc.firstChild : null;
+        if (!first || first.type !== this.schema.nodes.front_matter) return null;
+        return { markup: first.attrs.markup, text: first.textContent };
+    }
+
+    /**
+     * Replace, insert or remove the front matter block as one undoable step
+     * @param {string|null} text - New raw content, or null to remove the block
+     * @param {string} [markup] - Fence to use, defaults to the current one or `---`
+     */
+    setFrontMatter(text, markup) {
+        if (!this.view) return;
+
+        const { state } = this.view;
+        const type = this.schema.nodes.front_matter;
+        const current = state.doc.firstChild.type === type ? state.doc.firstChild : null;
+        const end = current ? current.nodeSize : 0;
+        const tr = state.tr;
+
+        if (text === null) {
+            if (!current) return;
+            tr.delete(0, end);
+        } else {
+            const attrs = { markup: markup || (current ? current.attrs.markup : '---') };
+            tr.replaceWith(0, end, type.create(attrs, text ? this.schema.text(text) : null));
+        }
+        this.view.dispatch(tr);
+    }
+
+    /**
+     * Get the current selection
+     * @returns {{anchor: number, head: number}} Document positions
+     */
+    getSelection() {
+        if (!this.view) return { anchor: 0, head: 0 };
+        const { anchor, head } = this.view.state.selection;
+        return { anchor, head };
+    }
+
+    /**
+     * Select a range without focusing or scrolling, e.g. to mirror another
+     * pane; positions between blocks move to the nearest text position
+     * @param {number} anchor - Anchor position
+     * @param {number} [head=anchor] - Head position
+     */
+    setSelection(anchor, head = anchor) {
+        if (!this.view) return;
+
+        const { doc } = this.view.state;
+        const clamp = pos => Math.max(0, Math.min(pos, doc.content.size));
+        const selection = TextSelection.between(doc.resolve(clamp(anchor)), doc.resolve(clamp(head)));
+        if (selection.eq(this.view.state.selection)) return;
+        this.view.dispatch(this.view.state.tr.setSelection(selection)
+            .setMeta('source', 'sync')
+            .setMeta('addToHistory', false));
+    }
+
     // Execute a command
     executeCommand(command) {
         if (this.view && command) {
@@ -0,0 +1,19 @@
+/**
+ * Public API of prosemirror-md
+ *
+ * `createEditor` builds a complete editor in an element; the markdown
+ * functions convert between markdown and documents of `markdownSchema`
+ * without an editor. Extensions, passed to `createEditor` or composed with
+ * `createMarkdownFormat`, add custom nodes and marks.
+ */
+export { createEditor, EditorManager } from './editor-manager.js';
+export { MarkdownEditorElement, defineMarkdownEditor } from './markdown-editor.js';
+export { setMathRenderer } from './editor/math.js';
+export { markdownSchema } from './markdown/schema.js';
+export { parseMarkdown } from './markdown/parser.js';
+export { serializeMarkdown } from './markdown/serializer.js';
+export { createMarkdownFormat, defaultFormat } from './markdown/extensions.js';
+export { normalizeMarkdown } from './markdown/normalize.js';
+
+// Building blocks for extensions
+export { MenuItem, markItem, blockTypeItem, wrapItem, icons } from './menu/index.js';
@@ -0,0 +1,4 @@
+// Library build entry: the public API together with the editor styles
+import '../styles/editor.less';
+
+export * from './index.js';
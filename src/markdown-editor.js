@@ -0,0 +1,226 @@
+import { EditorManager } from './editor-manager.js';
+
+/**
+ * `<markdown-editor>` custom element wrapping an editor, for pages without
+ * a JavaScript framework
+ *
+ * @example
+ * <form method="post">
+ *     <markdown-editor name="body" mode="split">
+ *         # Hello
+ *     </markdown-editor>
+ * </form>
+ */
+
+// Panes shown in each mode
+const MODES = {
+    wysiwyg: ['wysiwyg'],
+    markdown: ['markdown'],
+    split: ['wysiwyg', 'markdown']
+};
+
+// Custom elements only exist in browsers; importing this module elsewhere must not fail
+const BaseElement = typeof window === 'undefined' ? class {} : window.HTMLElement;
+
+/**
+ * Remove the indentation markup picks up from the surrounding HTML
+ * @param {string} text - Text content of the element
+ * @returns {string} Markdown
+ */
+function dedent(text) {
+    const lines = text.replace(/^\s*\n/, '').replace(/\n\s*$/, '').split('\n');
+    const indents = lines.filter(line => line.trim()).map(line => /^[ \t]*/.exec(line)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(indent)).join('\n');
+}
+
+/**
+ * Editor element
+ *
+ * Attributes:
+ * - `value`: initial markdown, taking precedence over the text content
+ * - `mode`: `wysiwyg` (default), `markdown` or `split`, kept up to date when
+ *   the user switches panes
+ * - `readonly`: show the document without letting the user edit it
+ * - `name`: form field the markdown is submitted as
+ * - `autofocus`: focus the editor once created
+ *
+ * Fires `input` after each edit and `change` when focus leaves the editor
+ * after edits, like form controls do.
+ */
+export class MarkdownEditorElement extends BaseElement {
+    static get formAssociated() {
+        return true;
+    }
+
+    static get observedAttributes() {
+        return ['value', 'mode', 'readonly'];
+    }
+
+    constructor() {
+        super();
+        this.editor = null;
+        // Form participation, where the browser supports it
+        this.internals = this.attachInternals ? this.attachInternals() : null;
+        this.initialValue = null; // Text content read when first connected
+        this.currentValue = null; // Value kept while disconnected
+        this.dirty = false; // Edited by the user since the default value was set
+        this.formDisabled = false;
+        this.valueAtFocus = null;
+        this.reflecting = false; // Setting the mode attribute from a pane switch
+    }
+
+    connectedCallback() {
+        if (this.editor) return;
+
+        if (this.initialValue === null) this.initialValue = dedent(this.textContent);
+        const markdown = this.currentValue !== null ? this.currentValue : this.defaultValue;
+
+        this.editor = new EditorManager(this, markdown, {
+            views: MODES[this.mode],
+            readOnly: this.readOnly || this.formDisabled,
+            autofocus: this.hasAttribute('autofocus')
+        });
+
+        this.editor.on('change', ({ markdown }) => {
+            this.dirty = true;
+            this.updateFormValue(markdown);
+            this.dispatchEvent(new window.Event('input', { bubbles: true, composed: true }));
+        });
+        this.editor.on('focus', () => {
+            this.valueAtFocus = this.value;
+        });
+        this.editor.on('blur', () => {
+            if (this.valueAtFocus !== null && this.value !== this.valueAtFocus) {
+                this.dispatchEvent(new window.Event('change', { bubbles: true }));
+            }
+            this.valueAtFocus = null;
+        });
+        this.editor.on('viewModeChange', ({ views }) => {
+            this.reflecting = true;
+            this.setAttribute('mode', views.length > 1 ? 'split' : views[0]);
+            this.reflecting = false;
+        });
+
+        this.updateFormValue(this.editor.getMarkdown());
+    }
+
+    disconnectedCallback() {
+        if (!this.editor) return;
+        // Moving the element recreates the editor with the same content
+        this.currentValue = this.editor.getMarkdown();
+        this.editor.destroy();
+        this.editor = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.editor || oldValue === newValue) return;
+
+        if (name === 'mode' && !this.reflecting) {
+            this.editor.setViews(MODES[this.mode]);
+        } else if (name === 'readonly') {
+            this.editor.setReadOnly(this.readOnly || this.formDisabled);
+        } else if (name === 'value' && !this.dirty) {
+            // Like an input, the default only shows until the user edits
+            this.value = this.defaultValue;
+        }
+    }
+
+    /**
+     * Current markdown
+     * @type {string}
+     */
+    get value() {
+        if (this.editor) return this.editor.getMarkdown();
+        return this.currentValue !== null ? this.currentValue : this.defaultValue;
+    }
+
+    set value(markdown) {
+        markdown = String(markdown);
+        if (this.editor) this.editor.setMarkdown(markdown);
+        else this.currentValue = markdown;
+        this.updateFormValue(markdown);
+    }
+
+    /**
+     * Markdown the editor starts with and resets to: the `value` attribute,
+     * or the text content
+     * @type {string}
+     */
+    get defaultValue() {
+        return this.hasAttribute('value') ? this.getAttribute('value') : this.initialValue || '';
+    }
+
+    set defaultValue(markdown) {
+        this.setAttribute('value', markdown);
+    }
+
+    /**
+     * Panes shown: `wysiwyg`, `markdown` or `split`
+     * @type {string}
+     */
+    get mode() {
+        const mode = this.getAttribute('mode');
+        return Object.prototype.hasOwnProperty.call(MODES, mode) ? mode : 'wysiwyg';
+    }
+
+    set mode(mode) {
+        this.setAttribute('mode', mode);
+    }
+
+    /** @type {boolean} */
+    get readOnly() {
+        return this.hasAttribute('readonly');
+    }
+
+    set readOnly(readOnly) {
+        this.toggleAttribute('readonly', !!readOnly);
+    }
+
+    /** @type {string} */
+    get name() {
+        return this.getAttribute('name') || '';
+    }
+
+    /** @type {HTMLFormElement|null} */
+    get form() {
+        return this.internals ? this.internals.form : null;
+    }
+
+    // Submit the markdown with the form
+    updateFormValue(markdown) {
+        if (this.internals && this.internals.setFormValue) this.internals.setFormValue(markdown);
+    }
+
+    formResetCallback() {
+        this.dirty = false;
+        this.value = this.defaultValue;
+    }
+
+    formDisabledCallback(disabled) {
+        this.formDisabled = disabled;
+        if (this.editor) this.editor.setReadOnly(this.readOnly || disabled);
+    }
+
+    formStateRestoreCallback(state) {
+        if (typeof state === 'string') this.value = state;
+    }
+}
+
+let registered = false;
+
+/**
+ * Register the editor element
+ * @param {string} [tagName='markdown-editor'] - Tag name to register it as
+ * @returns {CustomElementConstructor} Registered element class
+ */
+export function defineMarkdownEditor(tagName = 'markdown-editor') {
+    const existing = window.customElements.get(tagName);
+    if (existing) return existing;
+
+    // A class can only be registered once, so other names get a subclass
+    const element = registered ? class extends MarkdownEditorElement {} : MarkdownEditorElement;
+    window.customElements.define(tagName, element);
+    registered = true;
+    return element;
+}
@@ -0,0 +1,133 @@
+import { Schema } from 'prosemirror-model';
+import { MarkdownParser, MarkdownSerializer } from 'prosemirror-markdown';
+import { markdownSchema } from './schema.js';
+import { markdownParser, markdownTokens, createTokenizer } from './parser.js';
+import { markdownSerializer } from './serializer.js';
+import { collectLinkDefinitions } from './link-definitions.js';
+
+/**
+ * Markdown extensions: one object declaring everything a construct needs,
+ * from its schema spec through parsing and serializing to its editing UI
+ */
+
+/**
+ * @typedef {Object} MarkdownExtension
+ * @property {string} name - Name, for error messages
+ * @property {Object<string, import('prosemirror-model').NodeSpec>} [nodes] -
+ *     Nodes to add to the schema; a built-in node of the same name is replaced
+ *     in place
+ * @property {Object<string, import('prosemirror-model').MarkSpec>} [marks] -
+ *     Marks to add to the schema, replacing built-in ones of the same name
+ * @property {(md: import('markdown-it').default) => void} [markdownIt] -
+ *     markdown-it plugin tokenizing the construct
+ * @property {Object<string, import('prosemirror-markdown').ParseSpec>} [tokens] -
+ *     How the plugin's tokens map to nodes and marks, as for `MarkdownParser`
+ * @property {{nodes?: Object<string, Function>, marks?: Object<string, Object>}} [toMarkdown] -
+ *     Node and mark serializers, as for `MarkdownSerializer`
+ * @property {RegExp} [escape] - Extra text to backslash-escape, so plain text
+ *     is not read back as the construct
+ * @property {(schema: Schema) => import('prosemirror-inputrules').InputRule[]} [inputRules] -
+ *     Input rules, tried before the built-in ones
+ * @property {(schema: Schema) => Object<string, import('prosemirror-state').Command>} [keymap] -
+ *     Key bindings, taking precedence over the built-in ones
+ * @property {(schema: Schema) => import('../menu/menu.d.ts').MenuItem[]} [menuItems] -
+ *     Toolbar items, shown as a group of their own
+ * @property {Object<string, Function>} [nodeViews] - Node view constructors
+ *     by node name
+ * @property {(schema: Schema) => import('prosemirror-state').Plugin[]} [plugins] -
+ *     Other editor plugins
+ */
+
+/**
+ * @typedef {Object} MarkdownFormat
+ * @property {Schema} schema - Schema with the extensions' nodes and marks
+ * @property {MarkdownParser} parser - Parser for the schema
+ * @property {MarkdownSerializer} serializer - Serializer for the schema
+ * @property {MarkdownExtension[]} extensions - Extensions the format was built from
+ * @property {(markdown: string) => import('prosemirror-model').Node} parse - Parse markdown
+ * @property {(doc: import('prosemirror-model').Node) => string} serialize - Serialize a document
+ */
+
+/**
+ * Add specs to an ordered map of specs, replacing ones with the same name in place
+ * @param {import('orderedmap').default} map - Node or mark specs
+ * @param {Object} specs - Specs to add
+ * @returns {import('orderedmap').default} Combined specs
+ */
+function mergeSpecs(map, specs) {
+    for (const [name, spec] of Object.entries(specs || {})) {
+        map = map.get(name) ? map.update(name, spec) : map.addToEnd(name, spec);
+    }
+    return map;
+}
+
+/**
+ * Build the format's parse and serialize functions
+ * @param {MarkdownParser} parser - Parser
+ * @param {MarkdownSerializer} serializer - Serializer
+ * @returns {{parse: Function, serialize: Function}} Functions
+ */
+function formatFunctions(parser, serializer) {
+    return {
+        parse: markdown => parser.parse(markdown),
+        serialize: doc => serializer.serialize(doc, { linkDefinitions: collectLinkDefinitions(doc) })
+    };
+}
+
+/**
+ * The built-in markdown format, without extensions
+ * @type {MarkdownFormat}
+ */
+export const defaultFormat = {
+    schema: markdownSchema,
+    parser: markdownParser,
+    serializer: markdownSerializer,
+    extensions: [],
+    ...formatFunctions(markdownParser, markdownSerializer)
+};
+
+/**
+ * Compose the schema, parser and serializer of the built-in format with
+ * extensions
+ * @param {MarkdownExtension[]} [extensions] - Extensions, later ones
+ *     overriding earlier ones
+ * @returns {MarkdownFormat} Markdown format
+ * @throws {Error} If an extension's token maps to a node or mark it does not define
+ */
+export function createMarkdownFormat(extensions = []) {
+    if (!extensions.length) return defaultFormat;
+
+    let nodes = markdownSchema.spec.nodes, marks = markdownSchema.spec.marks;
+    for (const extension of extensions) {
+        nodes = mergeSpecs(nodes, extension.nodes);
+        marks = mergeSpecs(marks, extension.marks);
+    }
+    const schema = new Schema({ nodes, marks, topNode: markdownSchema.spec.topNode });
+
+    const tokenizer = createTokenizer();
+    const tokens = { ...markdownTokens };
+    const serializerNodes = { ...markdownSerializer.nodes };
+    const serializerMarks = { ...markdownSerializer.marks };
+    let escape = markdownSerializer.options.escapeExtraCharacters;
+
+    for (const extension of extensions) {
+        if (extension.markdownIt) tokenizer.use(extension.markdownIt);
+        for (const [token, spec] of Object.entries(extension.tokens || {})) {
+            const type = spec.block || spec.node || spec.mark;
+            if (type && !schema.nodes[type] && !schema.marks[type]) {
+                throw new Error(`Extension ${extension.name}: token ${token} maps to unknown type ${type}`);
+            }
+            tokens[token] = spec;
+        }
+        Object.assign(serializerNodes, extension.toMarkdown && extension.toMarkdown.nodes);
+        Object.assign(serializerMarks, extension.toMarkdown && extension.toMarkdown.marks);
+        if (extension.escape) escape = new RegExp(`${escape.source}|${extension.escape.source}`, 'g');
+    }
+
+    const parser = new MarkdownParser(schema, tokenizer, tokens);
+    const serializer = new MarkdownSerializer(serializerNodes, serializerMarks, {
+        ...markdownSerializer.options,
+        escapeExtraCharacters: escape
+    });
+    return { schema, parser, serializer, extensions, ...formatFunctions(parser, serializer) };
+}
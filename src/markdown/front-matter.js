@@ -0,0 +1,57 @@
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import { parse as parseToml, stringify as stringifyToml } from 'smol-toml';
+
+/**
+ * Front matter metadata helpers
+ * Convert between the raw text of a front_matter node and a plain object,
+ * using YAML for `---` fences and TOML for `+++` fences
+ */
+
+/**
+ * Fence line for each supported metadata format
+ */
+export const FRONT_MATTER_FENCES = { yaml: '---', toml: '+++' };
+
+/**
+ * Whether front matter text holds a line reading like its fence, which would
+ * end the block early once written out
+ * @param {string} text - Raw front matter content between the fences
+ * @param {string} [markup='---'] - Fence the block is written with
+ * @returns {boolean} True if the text can't be written between the fences
+ */
+export function hasFenceLine(text, markup = FRONT_MATTER_FENCES.yaml) {
+    return text.split('\n').some(line => line.trimEnd() === markup);
+}
+
+/**
+ * Parse front matter text into a metadata object
+ * @param {string} text - Raw front matter content between the fences
+ * @param {string} [markup='---'] - Fence the block was written with
+ * @returns {Object} Metadata, empty for blank front matter
+ * @throws {Error} If the text is not valid YAML/TOML or not a mapping
+ */
+export function parseFrontMatter(text, markup = FRONT_MATTER_FENCES.yaml) {
+    if (!text.trim()) return {};
+
+    const data = markup === FRONT_MATTER_FENCES.toml ? parseToml(text) : parseYaml(text);
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Front matter must be a key/value mapping');
+    }
+    return data;
+}
+
+/**
+ * Serialize a metadata object to front matter text
+ * @param {Object} data - Metadata
+ * @param {string} [markup='---'] - Fence the block is written with
+ * @returns {string} Front matter content without fences or trailing newline
+ * @throws {Error} If a value would be written as a line reading like the fence,
+ *     like `+++` in a TOML multi-line string
+ */
+export function stringifyFrontMatter(data, markup = FRONT_MATTER_FENCES.yaml) {
+    if (!Object.keys(data).length) return '';
+
+    const text = markup === FRONT_MATTER_FENCES.toml ? stringifyToml(data) : stringifyYaml(data);
+    if (hasFenceLine(text, markup)) throw new Error(`Front matter can't hold a line reading ${markup}`);
+    return text.replace(/\n+$/, '');
+}
@@ -0,0 +1,43 @@
+/**
+ * Link reference definition helpers
+ * `[label]: url "title"` definitions are `link_definition` blocks kept where
+ * they were written; the document's definitions, looked up by normalized
+ * label, resolve reference-style links
+ */
+
+/**
+ * @typedef {Object} LinkDefinition
+ * @property {string} label - Label as written
+ * @property {string} href - Link destination
+ * @property {string|null} title - Link title
+ * @property {number} pos - Position of the link_definition node
+ */
+
+/**
+ * Normalize a reference label the way CommonMark matches labels: trimmed,
+ * inner whitespace collapsed and case folded
+ * @param {string} label - Label as written
+ * @returns {string} Normalized label
+ */
+export function normalizeLinkLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+/**
+ * Collect the link reference definitions of a document
+ * @param {import('prosemirror-model').Node} doc - Document node
+ * @returns {Map<string, LinkDefinition>} Definitions by normalized label; the
+ *     first definition of a label wins, as in CommonMark
+ */
+export function collectLinkDefinitions(doc) {
+    const definitions = new Map();
+    doc.descendants((node, pos) => {
+        if (node.type.name === 'link_definition') {
+            const key = normalizeLinkLabel(node.attrs.label);
+            if (!definitions.has(key)) definitions.set(key, { ...node.attrs, pos });
+            return false;
+        }
+        return node.isBlock && !node.inlineContent;
+    });
+    return definitions;
+}
@@ -0,0 +1,18 @@
+import { createMarkdownFormat } from './extensions.js';
+
+/**
+ * Bring markdown into the canonical form the editor writes, by parsing it and
+ * serializing the document again
+ * @param {string} markdown - Markdown source
+ * @param {Object} [options]
+ * @param {import('./extensions.js').MarkdownExtension[]} [options.extensions] -
+ *     Extensions for custom syntax, which would otherwise be read as text
+ * @param {import('./extensions.js').MarkdownFormat} [options.format] - Format
+ *     to use instead of composing one from `extensions`
+ * @returns {string} Normalized markdown, ending in a newline unless empty
+ */
+export function normalizeMarkdown(markdown, options = {}) {
+    const format = options.format || createMarkdownFormat(options.extensions);
+    const output = format.serialize(format.parse(markdown));
+    return output ? output + '\n' : '';
+}
@@ -1,6 +1,15 @@
 import { MarkdownParser } from 'prosemirror-markdown';
 import { markdownSchema as schema } from './schema.js';
 import MarkdownIt from 'markdown-it';
+import { taskListPlugin } from './plugins/task-list.js';
+import { highlightPlugin } from './plugins/highlight.js';
+import { subPlugin, supPlugin } from './plugins/sub-sup.js';
+import { sourceMarkupPlugin } from './plugins/source-markup.js';
+import { frontMatterPlugin } from './plugins/front-matter.js';
+import { footnotePlugin } from './plugins/footnote.js';
+import { mathPlugin } from './plugins/math.js';
+import { linkReferencePlugin } from './plugins/link-reference.js';
+import { imageAttributesPlugin } from './plugins/image-attributes.js';
 
 /**
  * Markdown parser for converting markdown text to ProseMirror document nodes
@@ -15,42 +24,142 @@ function listIsTight(tokens, i) {
 }
 
 /**
- A parser parsing unextended [CommonMark](http://commonmark.org/),
- without inline HTML, and producing a document in the basic schema.
+ * Read column alignment from a markdown-it th/td token
+ * @param {import('markdown-it').Token} tok - Cell open token
+ * @returns {{align: string|null}} Cell attributes
  */
-export const markdownParser = new MarkdownParser(schema, MarkdownIt('commonmark', { html: false }), {
+function cellAttrs(tok) {
+    const match = /text-align:\s*(left|center|right)/.exec(tok.attrGet('style') || '');
+    return { align: match ? match[1] : null };
+}
+
+/**
+ * Read the setext underline of a heading token, null for ATX headings
+ * @param {import('markdown-it').Token} tok - Heading open token
+ * @returns {string|null} Underline such as `=====`
+ */
+function headingUnderline(tok) {
+    const markup = tok.meta && tok.meta.markup;
+    return markup && markup[0] === tok.markup ? markup : null;
+}
+
+/**
+ * Read the spaces written after a list's first marker
+ * @param {import('markdown-it').Token} tok - List open token
+ * @returns {string} Spacing such as `   `, a single space by default
+ */
+function markerSpacing(tok) {
+    return tok.meta && tok.meta.spacing || ' ';
+}
+
+/**
+ * Create a markdown-it tokenizer: CommonMark with raw HTML and link
+ * definitions kept, plus GFM tables, strikethrough and task lists, footnotes,
+ * YAML/TOML front matter, `$…$`/`$$…$$` math, the `==highlight==`,
+ * `~sub~` and `^sup^` extensions, and `{width=…}` after images
+ * @returns {MarkdownIt} New tokenizer, for extensions to add plugins to
+ */
+export function createTokenizer() {
+    return MarkdownIt('commonmark', { html: true })
+        .enable(['table', 'strikethrough'])
+        .use(taskListPlugin)
+        .use(highlightPlugin)
+        .use(subPlugin)
+        .use(supPlugin)
+        .use(sourceMarkupPlugin)
+        .use(frontMatterPlugin)
+        .use(footnotePlugin)
+        .use(mathPlugin)
+        .use(linkReferencePlugin)
+        .use(imageAttributesPlugin);
+}
+
+/**
+ * Mapping from markdown-it tokens to the nodes and marks of the markdown schema
+ */
+export const markdownTokens = {
+    front_matter: { block: 'front_matter', getAttrs: tok => ({ markup: tok.markup }), noCloseToken: true },
     blockquote: { block: 'blockquote' },
     paragraph: { block: 'paragraph' },
-    list_item: { block: 'list_item' },
-    bullet_list: { block: 'bullet_list', getAttrs: (_, tokens, i) => ({ tight: listIsTight(tokens, i) }) },
+    list_item: {
+        block: 'list_item', getAttrs: tok => ({
+            checked: tok.meta && typeof tok.meta.checked === 'boolean' ? tok.meta.checked : null
+        })
+    },
+    bullet_list: {
+        block: 'bullet_list', getAttrs: (tok, tokens, i) => ({
+            bullet: tok.markup,
+            spacing: markerSpacing(tok),
+            tight: listIsTight(tokens, i)
+        })
+    },
     ordered_list: {
         block: 'ordered_list', getAttrs: (tok, tokens, i) => ({
             order: +tok.attrGet('start') || 1,
+            delimiter: tok.markup,
+            spacing: markerSpacing(tok),
             tight: listIsTight(tokens, i)
         })
     },
-    heading: { block: 'heading', getAttrs: tok => ({ level: +tok.tag.slice(1) }) },
-    code_block: { block: 'code_block', noCloseToken: true },
-    fence: { block: 'code_block', getAttrs: tok => ({ params: tok.info || '' }), noCloseToken: true },
-    hr: { node: 'horizontal_rule' },
+    heading: {
+        block: 'heading', getAttrs: tok => ({
+            level: +tok.tag.slice(1),
+            underline: headingUnderline(tok),
+            closing: tok.meta && tok.meta.closing || null
+        })
+    },
+    code_block: { block: 'code_block', getAttrs: () => ({ markup: null }), noCloseToken: true },
+    fence: {
+        block: 'code_block', getAttrs: tok => ({
+            params: tok.info || '',
+            markup: tok.markup
+        }), noCloseToken: true
+    },
+    hr: { node: 'horizontal_rule', getAttrs: tok => ({ markup: tok.meta && tok.meta.markup || tok.markup }) },
+    table: { block: 'table' },
+    thead: { ignore: true },
+    tbody: { ignore: true },
+    tr: { block: 'table_row' },
+    th: { block: 'table_header', getAttrs: cellAttrs },
+    td: { block: 'table_cell', getAttrs: cellAttrs },
+    footnote_reference: { block: 'footnote_definition', getAttrs: tok => ({ label: tok.meta.label }) },
+    footnote_ref: { node: 'footnote_ref', getAttrs: tok => ({ label: tok.meta.label }) },
+    math_block: { block: 'math_block', noCloseToken: true },
+    math_inline: { block: 'math_inline', noCloseToken: true },
+    html_block: { block: 'html_block', getAttrs: tok => ({ tight: !!(tok.meta && tok.meta.tight) }), noCloseToken: true },
+    html_inline: { block: 'html_inline', noCloseToken: true },
+    link_definition: { node: 'link_definition', getAttrs: tok => tok.meta },
     image: {
         node: 'image', getAttrs: tok => ({
             src: tok.attrGet('src'),
             title: tok.attrGet('title') || null,
-            alt: tok.children[0] && tok.children[0].content || null
+            alt: tok.children[0] && tok.children[0].content || null,
+            width: tok.attrGet('width') || null
         })
     },
     hardbreak: { node: 'hard_break' },
-    em: { mark: 'em' },
-    strong: { mark: 'strong' },
+    em: { mark: 'em', getAttrs: tok => ({ markup: tok.markup }) },
+    strong: { mark: 'strong', getAttrs: tok => ({ markup: tok.markup }) },
     link: {
         mark: 'link', getAttrs: tok => ({
             href: tok.attrGet('href'),
-            title: tok.attrGet('title') || null
+            title: tok.attrGet('title') || null,
+            reference: tok.meta && tok.meta.reference || null,
+            style: tok.markup === 'autolink' ? 'autolink' : tok.meta && tok.meta.style || null
         })
     },
-    code_inline: { mark: 'code', noCloseToken: true }
-});
+    code_inline: { mark: 'code', noCloseToken: true },
+    s: { mark: 'strikethrough' },
+    mark: { mark: 'highlight' },
+    sub: { mark: 'sub' },
+    sup: { mark: 'sup' }
+};
+
+/**
+ A parser parsing extended [CommonMark](http://commonmark.org/),
+ keeping raw HTML as source, and producing a document in the markdown schema.
+ */
+export const markdownParser = new MarkdownParser(schema, createTokenizer(), markdownTokens);
 
 /**
  * Parse markdown text into a ProseMirror document
@@ -0,0 +1,149 @@
+/**
+ * markdown-it plugin for footnotes
+ *
+ * Follows markdown-it-footnote's token stream: a `[^label]: ...` definition
+ * becomes `footnote_reference_open`/`footnote_reference_close` around its
+ * block content, and a `[^label]` reference to a defined label becomes an
+ * inline `footnote_ref` token, both with the label in `token.meta.label`.
+ * Unlike markdown-it-footnote, definitions are kept even when unreferenced
+ * and no rendered footnote list is generated; the tail rule only moves every
+ * definition to the end of the stream, where the schema keeps them.
+ */
+
+const OPEN_BRACKET = 0x5B; // [
+const CLOSE_BRACKET = 0x5D; // ]
+const CARET = 0x5E; // ^
+const COLON = 0x3A; // :
+
+/**
+ * Scan a `[^label]` at a position
+ * @param {string} src - Source text
+ * @param {number} start - Position of the opening bracket
+ * @param {number} max - End of the scanned range
+ * @returns {number} Position of the closing bracket, or -1 if there is no label
+ */
+function scanLabel(src, start, max) {
+    if (src.charCodeAt(start) !== OPEN_BRACKET || src.charCodeAt(start + 1) !== CARET) return -1;
+
+    for (let pos = start + 2; pos < max; pos++) {
+        const ch = src.charCodeAt(pos);
+        if (ch === 0x20 || ch === 0x0A) return -1;
+        if (ch === CLOSE_BRACKET) return pos === start + 2 ? -1 : pos;
+    }
+    return -1;
+}
+
+function footnoteDef(state, startLine, endLine, silent) {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+    const end = scanLabel(state.src, start, max);
+    if (end < 0 || state.src.charCodeAt(end + 1) !== COLON) return false;
+    if (silent) return true;
+
+    const label = state.src.slice(start + 2, end);
+    state.env.footnotes = state.env.footnotes || { refs: {} };
+    state.env.footnotes.refs[`:${label}`] = true;
+
+    const open = state.push('footnote_reference_open', '', 1);
+    open.meta = { label };
+    open.map = [startLine, 0];
+
+    // Parse the rest of the line and the lines indented below it as the
+    // definition's blocks, the same way list items are parsed
+    const oldBMark = state.bMarks[startLine];
+    const oldTShift = state.tShift[startLine];
+    const oldSCount = state.sCount[startLine];
+    const oldParentType = state.parentType;
+
+    const posAfterColon = end + 2;
+    const initial = state.sCount[startLine] + posAfterColon - start;
+    let offset = initial;
+    let pos = posAfterColon;
+    while (pos < max) {
+        const ch = state.src.charCodeAt(pos);
+        if (ch === 0x09) offset += 4 - offset % 4;
+        else if (ch === 0x20) offset++;
+        else break;
+        pos++;
+    }
+
+    state.tShift[startLine] = pos - posAfterColon;
+    state.sCount[startLine] = offset - initial;
+    state.bMarks[startLine] = posAfterColon;
+    state.blkIndent += 4;
+    state.parentType = 'footnote';
+
+    if (state.sCount[startLine] < state.blkIndent) {
+        state.sCount[startLine] += state.blkIndent;
+    }
+
+    state.md.block.tokenize(state, startLine, endLine, true);
+
+    state.parentType = oldParentType;
+    state.blkIndent -= 4;
+    state.tShift[startLine] = oldTShift;
+    state.sCount[startLine] = oldSCount;
+    state.bMarks[startLine] = oldBMark;
+
+    open.map[1] = state.line;
+    state.push('footnote_reference_close', '', -1);
+    return true;
+}
+
+function footnoteRef(state, silent) {
+    const refs = state.env.footnotes && state.env.footnotes.refs;
+    if (!refs) return false;
+
+    const end = scanLabel(state.src, state.pos, state.posMax);
+    if (end < 0) return false;
+
+    const label = state.src.slice(state.pos + 2, end);
+    if (!refs[`:${label}`]) return false;
+
+    if (!silent) {
+        const token = state.push('footnote_ref', '', 0);
+        token.meta = { label };
+        token.markup = `[^${label}]`;
+    }
+    state.pos = end + 1;
+    return true;
+}
+
+function footnoteTail(state) {
+    const body = [], definitions = [];
+    let depth = 0;
+    // Whether the body tokens last pushed had a definition moved out after them
+    let emptied = false;
+
+    for (const token of state.tokens) {
+        if (token.type === 'footnote_reference_open') depth++;
+        if (depth) {
+            definitions.push(token);
+            emptied = true;
+        } else {
+            // Quotes and list items that held nothing but definitions go, or
+            // they would be written back as a stray `>` or `-`
+            const last = body[body.length - 1];
+            if (emptied && token.nesting === -1 && last && last.nesting === 1 && last.tag === token.tag) body.pop();
+            else {
+                body.push(token);
+                emptied = false;
+            }
+        }
+        if (token.type === 'footnote_reference_close') depth--;
+    }
+    state.tokens = body.concat(definitions);
+}
+
+/**
+ * Install the footnote rules
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function footnotePlugin(md) {
+    md.block.ruler.before('reference', 'footnote_def', footnoteDef, { alt: ['paragraph', 'reference'] });
+    md.inline.ruler.after('image', 'footnote_ref', footnoteRef);
+    md.core.ruler.after('inline', 'footnote_tail', footnoteTail);
+}
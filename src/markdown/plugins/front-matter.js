@@ -0,0 +1,61 @@
+/**
+ * markdown-it plugin for YAML/TOML front matter
+ *
+ * A document starting with a `---` (YAML) or `+++` (TOML) fence line, closed
+ * by the same fence further down, produces a single `front_matter` token
+ * holding the raw text between the fences. Without it the block would be
+ * read as a thematic break followed by a setext heading.
+ */
+
+const FENCES = ['---', '+++'];
+
+/**
+ * Match the front matter block at the start of a markdown source
+ * @param {string} src - Markdown source
+ * @returns {{markup: string, content: string, lines: number, length: number}|null}
+ *   Fence, raw content, number of lines and characters the block spans, or null
+ */
+export function matchFrontMatter(src) {
+    if (!FENCES.some(fence => src.startsWith(fence))) return null;
+
+    const lines = src.split('\n');
+    const markup = lines[0].trimEnd();
+    if (!FENCES.includes(markup)) return null;
+
+    let length = lines[0].length + 1;
+    for (let i = 1; i < lines.length; i++) {
+        length += lines[i].length + 1;
+        if (lines[i].trimEnd() === markup) {
+            return {
+                markup,
+                content: lines.slice(1, i).join('\n'),
+                lines: i + 1,
+                length: Math.min(length, src.length)
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Install the front matter block rule
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function frontMatterPlugin(md) {
+    md.block.ruler.before('table', 'front_matter', (state, startLine, endLine, silent) => {
+        // Only the very first line of the document can open front matter
+        if (startLine !== 0 || state.parentType !== 'root' || state.level !== 0) return false;
+
+        const match = matchFrontMatter(state.src);
+        if (!match || match.lines > endLine) return false;
+        if (silent) return true;
+
+        const token = state.push('front_matter', '', 0);
+        token.markup = match.markup;
+        token.content = match.content;
+        token.block = true;
+        token.map = [startLine, match.lines];
+        state.line = match.lines;
+        return true;
+    });
+}
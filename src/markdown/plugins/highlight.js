@@ -0,0 +1,100 @@
+/**
+ * markdown-it plugin for `==highlighted==` text
+ *
+ * Works like markdown-it's built-in strikethrough rule: each `==` run is
+ * pushed as a text token plus a delimiter, and the balanced pairs are turned
+ * into `mark_open`/`mark_close` tokens in the post-processing pass.
+ */
+
+const MARKER = 0x3D; // =
+
+function tokenize(state, silent) {
+    if (silent) return false;
+    if (state.src.charCodeAt(state.pos) !== MARKER) return false;
+
+    const scanned = state.scanDelims(state.pos, true);
+    let len = scanned.length;
+    if (len < 2) return false;
+
+    let token;
+    if (len % 2) {
+        token = state.push('text', '', 0);
+        token.content = '=';
+        len--;
+    }
+
+    for (let i = 0; i < len; i += 2) {
+        token = state.push('text', '', 0);
+        token.content = '==';
+
+        state.delimiters.push({
+            marker: MARKER,
+            length: 0, // disable "rule of 3" length checks meant for emphasis
+            token: state.tokens.length - 1,
+            end: -1,
+            open: scanned.can_open,
+            close: scanned.can_close
+        });
+    }
+
+    state.pos += scanned.length;
+    return true;
+}
+
+function postProcess(state, delimiters) {
+    const loneMarkers = [];
+
+    for (let i = 0; i < delimiters.length; i++) {
+        const startDelim = delimiters[i];
+        if (startDelim.marker !== MARKER || startDelim.end === -1) continue;
+
+        const endDelim = delimiters[startDelim.end];
+
+        let token = state.tokens[startDelim.token];
+        token.type = 'mark_open';
+        token.tag = 'mark';
+        token.nesting = 1;
+        token.markup = '==';
+        token.content = '';
+
+        token = state.tokens[endDelim.token];
+        token.type = 'mark_close';
+        token.tag = 'mark';
+        token.nesting = -1;
+        token.markup = '==';
+        token.content = '';
+
+        const before = state.tokens[endDelim.token - 1];
+        if (before.type === 'text' && before.content === '=') {
+            loneMarkers.push(endDelim.token - 1);
+        }
+    }
+
+    // An odd marker run like `===` leaves a lone `=` at its start;
+    // move it after the closing tags it belongs outside of
+    while (loneMarkers.length) {
+        const i = loneMarkers.pop();
+        let j = i + 1;
+        while (j < state.tokens.length && state.tokens[j].type === 'mark_close') j++;
+        j--;
+        if (i !== j) {
+            const token = state.tokens[j];
+            state.tokens[j] = state.tokens[i];
+            state.tokens[i] = token;
+        }
+    }
+}
+
+/**
+ * Install the highlight rules
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function highlightPlugin(md) {
+    md.inline.ruler.before('emphasis', 'mark', tokenize);
+    md.inline.ruler2.before('emphasis', 'mark', state => {
+        postProcess(state, state.delimiters);
+        for (const meta of state.tokens_meta) {
+            if (meta && meta.delimiters) postProcess(state, meta.delimiters);
+        }
+    });
+}
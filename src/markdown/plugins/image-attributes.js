@@ -0,0 +1,33 @@
+/**
+ * markdown-it plugin for image widths written as an attribute after the
+ * image, like Pandoc and kramdown: `![alt](src){width=300}`
+ *
+ * The attribute is stripped from the text following the image and set as
+ * the `width` attribute of the image token.
+ */
+
+const WIDTH_ATTRIBUTE = /^\{\s*width\s*=\s*"?(\d+(?:\.\d+)?)(px|%)?"?\s*\}/;
+
+/**
+ * Install the image attribute core rule
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function imageAttributesPlugin(md) {
+    md.core.ruler.push('image_attributes', state => {
+        for (const token of state.tokens) {
+            if (token.type !== 'inline' || !token.children) continue;
+
+            const children = token.children;
+            for (let i = 0; i < children.length - 1; i++) {
+                const next = children[i + 1];
+                if (children[i].type !== 'image' || next.type !== 'text') continue;
+
+                const match = WIDTH_ATTRIBUTE.exec(next.content);
+                if (!match) continue;
+                // Pixels are the default unit
+                children[i].attrSet('width', match[2] === '%' ? match[1] + '%' : match[1]);
+                next.content = next.content.slice(match[0].length);
+            }
+        }
+    });
+}
@@ -0,0 +1,90 @@
+/**
+ * markdown-it plugin for reference-style links
+ *
+ * Wraps the built-in `reference` and `link` rules. A `[label]: url "title"`
+ * definition is still registered for link resolution, and is also emitted
+ * as a `link_definition` token with `{label, href, title}` in `token.meta`
+ * so it can be kept in the document. `link_open` tokens get the form they
+ * were written in as `token.meta.style` (`inline`, `full`, `collapsed` or
+ * `shortcut`) and the reference label as written in `token.meta.reference`.
+ */
+
+const DEFINITION_LABEL = /^\[((?:[^\\[\]]|\\.)*)\]:/;
+
+/**
+ * Look up a built-in rule so it can be wrapped
+ * @param {import('markdown-it').Ruler} ruler - Block or inline ruler
+ * @param {string} name - Rule name
+ * @returns {Function} Rule function
+ */
+function builtinRule(ruler, name) {
+    return ruler.__rules__.find(rule => rule.name === name).fn;
+}
+
+function skipWhitespace(str, pos) {
+    while (pos < str.length && /\s/.test(str[pos])) pos++;
+    return pos;
+}
+
+/**
+ * Read a definition the built-in reference rule has accepted
+ * @param {import('markdown-it').default} md - markdown-it instance
+ * @param {string} src - Source lines of the definition
+ * @returns {{label: string, href: string, title: string|null}} Definition
+ */
+function parseDefinition(md, src) {
+    const label = DEFINITION_LABEL.exec(src);
+    let pos = skipWhitespace(src, label[0].length);
+
+    const destination = md.helpers.parseLinkDestination(src, pos, src.length);
+    pos = skipWhitespace(src, destination.pos);
+    const title = pos > destination.pos ? md.helpers.parseLinkTitle(src, pos, src.length) : null;
+
+    return {
+        label: label[1],
+        href: md.normalizeLink(destination.str),
+        title: title && title.ok ? title.str : null
+    };
+}
+
+/**
+ * Install the reference-style link rules
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function linkReferencePlugin(md) {
+    const reference = builtinRule(md.block.ruler, 'reference');
+    const link = builtinRule(md.inline.ruler, 'link');
+
+    md.block.ruler.at('reference', (state, startLine, endLine, silent) => {
+        if (!reference(state, startLine, endLine, silent)) return false;
+        if (silent) return true;
+
+        const token = state.push('link_definition', '', 0);
+        token.block = true;
+        token.map = [startLine, state.line];
+        token.meta = parseDefinition(md, state.getLines(startLine, state.line, state.blkIndent, false).trim());
+        return true;
+    });
+
+    md.inline.ruler.at('link', (state, silent) => {
+        const start = state.pos;
+        const first = state.tokens.length;
+        if (!link(state, silent)) return false;
+        if (silent) return true;
+
+        // The rule succeeded, so the text label is known to be well formed
+        const labelEnd = state.md.helpers.parseLinkLabel(state, start, true);
+
+        const rest = state.src.slice(labelEnd + 1, state.pos);
+        let meta;
+        if (rest[0] === '(') meta = { style: 'inline', reference: null };
+        else if (rest === '') meta = { style: 'shortcut', reference: state.src.slice(start + 1, labelEnd) };
+        else if (rest === '[]') meta = { style: 'collapsed', reference: state.src.slice(start + 1, labelEnd) };
+        else meta = { style: 'full', reference: rest.slice(1, -1) };
+
+        // Pending text before the link is flushed into a token of its own first
+        const token = state.tokens.slice(first).find(tok => tok.type === 'link_open');
+        token.meta = { ...token.meta, ...meta };
+        return true;
+    });
+}
@@ -0,0 +1,131 @@
+/**
+ * markdown-it plugin for TeX math
+ *
+ * `$…$` becomes an inline `math_inline` token and a block opening with `$$`
+ * and closing with a line ending in `$$` becomes a `math_block` token, both
+ * with the TeX source as `token.content`. Inline math follows Pandoc's rules
+ * so prices are left alone: the opening `$` must be followed by a non-space,
+ * the closing `$` preceded by a non-space and not followed by a digit.
+ *
+ * Like on GitHub, inline math can also be written between backticks,
+ * `` $`…`$ ``, for TeX those rules can't carry: edge whitespace, a `$` or a
+ * digit right after. The backtick run works like a code span's: the content
+ * may hold shorter or longer runs, and one space padding each side is removed.
+ */
+
+const DOLLAR = 0x24; // $
+const BACKSLASH = 0x5C; // \
+const BACKTICK = 0x60; // `
+
+function isWhitespace(code) {
+    return code === 0x20 || code === 0x09 || code === 0x0A;
+}
+
+function pushMathInline(state, content, markup) {
+    const token = state.push('math_inline', 'math', 0);
+    token.markup = markup;
+    token.content = content;
+}
+
+// `` $`…`$ ``
+function mathInlineBackticks(state, silent) {
+    const { src, posMax } = state;
+    let start = state.pos + 1;
+    while (start < posMax && src.charCodeAt(start) === BACKTICK) start++;
+    const fence = src.slice(state.pos + 1, start);
+
+    // The closing run is as long as the opening one, not part of a longer run
+    let end = start - 1;
+    while ((end = src.indexOf(fence + '$', end + 1)) !== -1 && end + fence.length < posMax) {
+        if (src.charCodeAt(end - 1) !== BACKTICK) break;
+    }
+    if (end === -1 || end + fence.length >= posMax) return false;
+
+    if (!silent) {
+        let content = src.slice(start, end);
+        if (/^ [\s\S]*\S[\s\S]* $/.test(content)) content = content.slice(1, -1);
+        pushMathInline(state, content, '$' + fence);
+    }
+    state.pos = end + fence.length + 1;
+    return true;
+}
+
+function mathInline(state, silent) {
+    const { src, posMax } = state;
+    const start = state.pos + 1;
+
+    if (src.charCodeAt(state.pos) !== DOLLAR) return false;
+    if (src.charCodeAt(start) === BACKTICK) return mathInlineBackticks(state, silent);
+    // `$$` inside a paragraph is not inline math
+    if (src.charCodeAt(start) === DOLLAR || start >= posMax || isWhitespace(src.charCodeAt(start))) return false;
+
+    let end = start;
+    while ((end = src.indexOf('$', end + 1)) !== -1 && end < posMax) {
+        if (src.charCodeAt(end - 1) === BACKSLASH || isWhitespace(src.charCodeAt(end - 1))) continue;
+        const next = src.charCodeAt(end + 1);
+        if (next >= 0x30 && next <= 0x39) continue;
+        break;
+    }
+    if (end === -1 || end >= posMax) return false;
+
+    if (!silent) pushMathInline(state, src.slice(start, end), '$');
+    state.pos = end + 1;
+    return true;
+}
+
+function mathBlock(state, startLine, endLine, silent) {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    if (state.src.charCodeAt(start) !== DOLLAR || state.src.charCodeAt(start + 1) !== DOLLAR) return false;
+
+    const first = state.src.slice(start + 2, max).trim();
+    const parts = [];
+    let nextLine = startLine;
+
+    if (first.endsWith('$$')) {
+        // `$$ … $$` on a single line
+        parts.push(first.slice(0, -2).trim());
+    } else {
+        let last = null;
+        while (++nextLine < endLine) {
+            const lineStart = state.bMarks[nextLine] + state.tShift[nextLine];
+            const lineMax = state.eMarks[nextLine];
+            // A non-blank line outdented past the container ends it
+            if (lineStart < lineMax && state.sCount[nextLine] < state.blkIndent) return false;
+
+            const line = state.src.slice(lineStart, lineMax).trim();
+            if (line.endsWith('$$')) {
+                last = line.slice(0, -2).trim();
+                break;
+            }
+        }
+        if (last === null) return false;
+
+        if (first) parts.push(first);
+        if (nextLine > startLine + 1) {
+            parts.push(state.getLines(startLine + 1, nextLine, state.sCount[startLine], false).replace(/\n$/, ''));
+        }
+        if (last) parts.push(last);
+    }
+
+    if (silent) return true;
+
+    const token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.markup = '$$';
+    token.content = parts.join('\n');
+    token.map = [startLine, nextLine + 1];
+    state.line = nextLine + 1;
+    return true;
+}
+
+/**
+ * Install the math rules
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function mathPlugin(md) {
+    md.inline.ruler.after('escape', 'math_inline', mathInline);
+    md.block.ruler.before('fence', 'math_block', mathBlock, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+}
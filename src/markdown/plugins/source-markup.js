@@ -0,0 +1,94 @@
+/**
+ * markdown-it plugin recording block markup that tokens don't keep verbatim
+ *
+ * markdown-it normalizes thematic breaks (`* * *` becomes `***`) and only
+ * records the character of a setext heading underline. This rule reads the
+ * original source line of those tokens and stores the exact markup as
+ * `token.meta.markup`, so the serializer can write it back unchanged.
+ *
+ * The built-in `heading` and `list` rules are wrapped as well: an ATX
+ * heading's closing hash run is stored as `token.meta.closing`, and the
+ * spaces between a list's first marker and its content as
+ * `token.meta.spacing` on the list open token.
+ *
+ * An HTML block whose source line directly follows the previous line, with
+ * no blank line between, gets `token.meta.tight`.
+ */
+
+const SETEXT_UNDERLINE = /(=+|-+)[ \t]*$/;
+const ATX_CLOSING = /[ \t]+(#+)[ \t]*$/;
+const LIST_MARKER = /^(?:[*+-]|\d{1,9}[.)])( {1,4})(?=[^ \t])/;
+
+/**
+ * Build a pattern matching a thematic break at the end of a source line
+ * @param {string} markup - Token markup, the marker repeated once per occurrence
+ * @returns {RegExp} Pattern capturing the break with its inner spacing
+ */
+function thematicBreak(markup) {
+    const marker = '\\' + markup[0];
+    return new RegExp(`(${marker}(?:[ \\t]*${marker}){${markup.length - 1}})[ \\t]*$`);
+}
+
+/**
+ * Wrap a block rule so the token it opens can be annotated from its first line
+ * @param {import('markdown-it').Ruler} ruler - Block ruler
+ * @param {string} name - Rule name
+ * @param {(line: string) => object|null} read - Meta to add, given the line from the rule's start
+ */
+function annotateBlockRule(ruler, name, read) {
+    // Keep the chains the rule interrupts, such as paragraphs, when replacing it
+    const { fn, alt } = ruler.__rules__.find(rule => rule.name === name);
+    ruler.at(name, (state, startLine, endLine, silent) => {
+        const first = state.tokens.length;
+        if (!fn(state, startLine, endLine, silent)) return false;
+        if (silent) return true;
+
+        const line = state.src.slice(state.bMarks[startLine] + state.tShift[startLine], state.eMarks[startLine]);
+        const meta = read(line);
+        const token = state.tokens[first];
+        if (meta) token.meta = { ...token.meta, ...meta };
+        return true;
+    }, { alt });
+}
+
+/**
+ * Install the source markup rules
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function sourceMarkupPlugin(md) {
+    annotateBlockRule(md.block.ruler, 'heading', line => {
+        // Drop the opening run, which an empty heading would otherwise match
+        const match = ATX_CLOSING.exec(line.replace(/^#+/, ''));
+        return match ? { closing: match[1] } : null;
+    });
+    annotateBlockRule(md.block.ruler, 'list', line => {
+        const match = LIST_MARKER.exec(line);
+        return match ? { spacing: match[1] } : null;
+    });
+
+    md.core.ruler.after('block', 'source_markup', state => {
+        let lines = null;
+        for (const token of state.tokens) {
+            if (token.type === 'html_block' && token.map && token.map[0] > 0) {
+                lines = lines || state.src.split('\n');
+                // A line of only blockquote markers is blank inside the quote
+                if (!/^[ \t>]*$/.test(lines[token.map[0] - 1])) token.meta = { ...token.meta, tight: true };
+                continue;
+            }
+
+            let pattern;
+            if (token.type === 'hr') {
+                pattern = thematicBreak(token.markup);
+            } else if (token.type === 'heading_open' && (token.markup === '=' || token.markup === '-')) {
+                pattern = SETEXT_UNDERLINE;
+            } else {
+                continue;
+            }
+            if (!token.map) continue;
+
+            lines = lines || state.src.split('\n');
+            const match = pattern.exec(lines[token.map[1] - 1] || '');
+            if (match) token.meta = { ...token.meta, markup: match[1] };
+        }
+    });
+}
@@ -0,0 +1,73 @@
+/**
+ * markdown-it plugins for `~subscript~` and `^superscript^`
+ *
+ * Following the Pandoc syntax, the content may not contain unescaped
+ * whitespace and is kept as plain text. A single `~` never clashes with
+ * GFM strikethrough, which needs a `~~` run.
+ */
+
+const UNESCAPE_RE = /\\([ \\!"#$%&'()*+,./:;<=>?@[\]^_`{|}~-])/g;
+const UNESCAPED_SPACE_RE = /(^|[^\\])(\\\\)*\s/;
+
+/**
+ * Create an inline rule for a script marker
+ * @param {string} marker - Marker character
+ * @param {string} name - Token name and HTML tag
+ * @returns {function} markdown-it inline rule
+ */
+function scriptRule(marker, name) {
+    const code = marker.charCodeAt(0);
+
+    return (state, silent) => {
+        const start = state.pos;
+        const max = state.posMax;
+
+        if (state.src.charCodeAt(start) !== code) return false;
+        if (silent) return false;
+        if (start + 2 >= max) return false;
+
+        state.pos = start + 1;
+        let found = false;
+        while (state.pos < max) {
+            if (state.src.charCodeAt(state.pos) === code) {
+                found = true;
+                break;
+            }
+            state.md.inline.skipToken(state);
+        }
+
+        const content = state.src.slice(start + 1, state.pos);
+        if (!found || !content || UNESCAPED_SPACE_RE.test(content)) {
+            state.pos = start;
+            return false;
+        }
+
+        let token = state.push(name + '_open', name, 1);
+        token.markup = marker;
+
+        token = state.push('text', '', 0);
+        token.content = content.replace(UNESCAPE_RE, '$1');
+
+        token = state.push(name + '_close', name, -1);
+        token.markup = marker;
+
+        state.pos += 1;
+        return true;
+    };
+}
+
+/**
+ * Install the subscript rule
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function subPlugin(md) {
+    md.inline.ruler.after('emphasis', 'sub', scriptRule('~', 'sub'));
+}
+
+/**
+ * Install the superscript rule
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function supPlugin(md) {
+    md.inline.ruler.after('emphasis', 'sup', scriptRule('^', 'sup'));
+}
@@ -0,0 +1,46 @@
+/**
+ * markdown-it plugin for GFM task list items
+ *
+ * Detects list items whose first paragraph starts with `[ ]` or `[x]`,
+ * strips the marker from the inline content and records the state as
+ * `token.meta.checked` on the `list_item_open` token.
+ */
+
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+
+/**
+ * Find the task marker at the start of a list item's first paragraph
+ * @param {Array} tokens - Block token stream
+ * @param {number} i - Index of an inline token
+ * @returns {RegExpExecArray|null} Marker match, or null if this is not a task item
+ */
+function taskMarker(tokens, i) {
+    if (i < 2 || tokens[i - 1].type !== 'paragraph_open' || tokens[i - 2].type !== 'list_item_open') {
+        return null;
+    }
+    const first = tokens[i].children[0];
+    return first && first.type === 'text' ? TASK_MARKER.exec(first.content) : null;
+}
+
+/**
+ * Install the task list core rule
+ * @param {import('markdown-it').default} md - markdown-it instance
+ */
+export function taskListPlugin(md) {
+    md.core.ruler.after('inline', 'task_list', state => {
+        const tokens = state.tokens;
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'inline') continue;
+
+            const match = taskMarker(tokens, i);
+            if (!match) continue;
+
+            const item = tokens[i - 2];
+            item.meta = { ...item.meta, checked: match[1] !== ' ' };
+
+            const first = tokens[i].children[0];
+            first.content = first.content.slice(match[0].length);
+            tokens[i].content = tokens[i].content.slice(match[0].length);
+        }
+    });
+}
@@ -0,0 +1,232 @@
+import { markdownParser } from './parser.js';
+
+/**
+ * Position mapping between a ProseMirror document and its markdown source
+ *
+ * Blocks are paired in document order with the markdown-it block tokens they
+ * were parsed from, whose `token.map` gives their source lines. Inside a
+ * textblock, the node's characters are matched in order against its source
+ * text, skipping the markup between them, so an offset on either side maps
+ * to the same character on the other.
+ */
+
+// Block tokens that produce no node of their own
+const IGNORED_TOKENS = new Set(['thead_open', 'tbody_open']);
+
+// Textblocks whose first and last source lines are fences around the content
+const FENCED_TOKENS = new Set(['fence', 'math_block', 'front_matter']);
+
+/**
+ * Source line ranges of the block tokens that produce nodes, in document order
+ * @param {import('markdown-it').Token[]} tokens - Block token stream
+ * @returns {Array<{type: string, map: number[], cell: number}>} Blocks, `cell`
+ *     being the column index of a table cell and -1 otherwise
+ */
+function sourceBlocks(tokens) {
+    const blocks = [], parents = [];
+    let cell = 0;
+
+    for (const token of tokens) {
+        if (token.nesting < 0) {
+            parents.pop();
+            continue;
+        }
+        if (token.type === 'inline' || IGNORED_TOKENS.has(token.type)) {
+            if (token.nesting > 0) parents.push(parents[parents.length - 1]);
+            continue;
+        }
+
+        // Table cells have no line map of their own, only their row does
+        const isCell = token.type === 'th_open' || token.type === 'td_open';
+        if (token.type === 'tr_open') cell = 0;
+        const map = token.map || parents[parents.length - 1] || [0, 0];
+        blocks.push({ type: token.type, map, cell: isCell ? cell++ : -1 });
+        if (token.nesting > 0) parents.push(map);
+    }
+    return blocks;
+}
+
+/**
+ * Find the source range of one cell in a table row line
+ * @param {string} line - Row line
+ * @param {number} index - Column index
+ * @returns {{from: number, to: number}} Range within the line
+ */
+function cellRange(line, index) {
+    const pipes = [];
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\') i++;
+        else if (line[i] === '|') pipes.push(i);
+    }
+    // Leading and trailing pipes are optional
+    const bounds = [pipes.length && !line.slice(0, pipes[0]).trim() ? pipes.shift() : -1];
+    bounds.push(...pipes);
+    if (bounds[bounds.length - 1] !== line.length) bounds.push(line.length);
+    if (index + 1 >= bounds.length) return { from: line.length, to: line.length };
+    return { from: bounds[index] + 1, to: bounds[index + 1] };
+}
+
+/**
+ * Characters of a textblock with the document position before each
+ * @param {import('prosemirror-model').Node} node - Textblock node
+ * @param {number} pos - Position of the node
+ * @returns {Array<{ch: string, pos: number, end: number}>} Characters, `end`
+ *     being the position after the character's node for inline leaves
+ */
+function textblockChars(node, pos) {
+    const chars = [];
+    node.descendants((child, offset) => {
+        const start = pos + 1 + offset;
+        if (child.isText) {
+            for (let i = 0; i < child.text.length; i++) chars.push({ ch: child.text[i], pos: start + i, end: start + i + 1 });
+        } else if (child.isLeaf) {
+            // Inline leaves such as footnote references match their source text
+            const text = child.type.spec.leafText ? child.type.spec.leafText(child) : '';
+            for (const ch of text) chars.push({ ch, pos: start, end: start + child.nodeSize });
+        }
+        return true;
+    });
+    return chars;
+}
+
+/**
+ * Bidirectional map between document positions and markdown offsets
+ */
+export class PositionMap {
+    /**
+     * @param {import('prosemirror-model').Node} doc - Document
+     * @param {string} markdown - Markdown source the document corresponds to
+     * @param {import('markdown-it').default} [tokenizer] - Tokenizer the document
+     *     was parsed with, defaults to the built-in one
+     */
+    constructor(doc, markdown, tokenizer = markdownParser.tokenizer) {
+        this.doc = doc;
+        this.markdown = markdown;
+
+        this.lineStarts = [0];
+        for (let i = markdown.indexOf('\n'); i !== -1; i = markdown.indexOf('\n', i + 1)) this.lineStarts.push(i + 1);
+
+        const sources = sourceBlocks(tokenizer.parse(markdown, {}));
+        const nodes = [];
+        doc.descendants((node, pos) => {
+            nodes.push({ node, pos });
+            return !node.isTextblock;
+        });
+
+        this.blocks = [];
+        for (let i = 0; i < Math.min(sources.length, nodes.length); i++) {
+            this.blocks.push(this.pairBlock(nodes[i].node, nodes[i].pos, sources[i]));
+        }
+    }
+
+    lineStart(line) {
+        return line < this.lineStarts.length ? this.lineStarts[line] : this.markdown.length;
+    }
+
+    lineEnd(line) {
+        return line + 1 < this.lineStarts.length ? this.lineStarts[line + 1] - 1 : this.markdown.length;
+    }
+
+    /**
+     * Find the line an offset is on
+     * @param {number} offset - Offset into the markdown
+     * @returns {number} Line index
+     */
+    lineAt(offset) {
+        let low = 0, high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Pair a node with its source lines and, for a textblock, match its characters
+     * @param {import('prosemirror-model').Node} node - Block node
+     * @param {number} pos - Position of the node
+     * @param {{type: string, map: number[], cell: number}} source - Source block
+     * @returns {Object} Block with `from`/`to` source offsets and, for a
+     *     textblock, its `chars` with their source `offset`
+     */
+    pairBlock(node, pos, source) {
+        const [startLine, endLine] = source.map;
+        const block = { node, pos, from: this.lineStart(startLine), to: this.lineEnd(Math.max(startLine, endLine - 1)), chars: null };
+        if (!node.isTextblock) return block;
+
+        // The part of the source the node's text comes from
+        let from = block.from, to = block.to;
+        if (source.cell >= 0) {
+            // Cells share their row's lines, so each only claims its own column
+            const range = cellRange(this.markdown.slice(from, to), source.cell);
+            to = block.to = from + range.to;
+            from = block.from = from + range.from;
+        } else if (FENCED_TOKENS.has(source.type) && endLine - startLine >= 2) {
+            from = this.lineStart(startLine + 1);
+            to = Math.max(from, this.lineStart(endLine - 1) - 1);
+        }
+
+        // Match characters in order, skipping markup and escapes between them
+        block.chars = textblockChars(node, pos);
+        let next = from;
+        for (const char of block.chars) {
+            const found = this.markdown.indexOf(char.ch, next);
+            char.offset = found !== -1 && found < to ? found : next;
+            if (found !== -1 && found < to) next = found + 1;
+        }
+        block.contentFrom = from;
+        block.contentTo = to;
+        return block;
+    }
+
+    /**
+     * Map a document position to a markdown offset
+     * @param {number} pos - Document position
+     * @param {number} [assoc=-1] - Side markup around pos goes to: with -1 the
+     *     offset follows the character before pos, with 1 it precedes the one after
+     * @returns {number} Offset into the markdown
+     */
+    toMarkdown(pos, assoc = -1) {
+        let block = null;
+        for (const candidate of this.blocks) {
+            // Blocks are in document order, so the last one containing pos is the innermost
+            if (pos >= candidate.pos && pos < candidate.pos + candidate.node.nodeSize) block = candidate;
+            else if (candidate.pos > pos) break;
+        }
+        if (!block) return pos <= 0 || !this.blocks.length ? 0 : this.markdown.length;
+        if (!block.chars) return pos === block.pos ? block.from : block.to;
+
+        const index = block.chars.findIndex(c => c.pos >= pos);
+        const before = block.chars[(index === -1 ? block.chars.length : index) - 1];
+        if (index !== -1 && (assoc > 0 || !before)) return block.chars[index].offset;
+        return before ? Math.min(before.offset + 1, block.contentTo) : block.contentFrom;
+    }
+
+    /**
+     * Map a markdown offset to a document position
+     * @param {number} offset - Offset into the markdown
+     * @returns {number} Document position, possibly between blocks; resolve
+     *     it with a selection that finds the nearest valid cursor position
+     */
+    toDoc(offset) {
+        // Footnote definitions come last in the document wherever their source
+        // is, so every block is checked; later containing blocks are innermost
+        let block = null, following = null;
+        for (const candidate of this.blocks) {
+            if (offset >= candidate.from && offset <= candidate.to) block = candidate;
+            else if (candidate.from > offset && (!following || candidate.from < following.from)) following = candidate;
+        }
+        if (!block) {
+            // Between blocks: the start of the next one
+            if (!following) return this.doc.content.size;
+            return following.node.isTextblock ? following.pos + 1 : following.pos;
+        }
+        if (!block.chars) return block.pos;
+
+        const char = block.chars.find(c => c.offset >= offset);
+        if (char) return char.pos;
+        const last = block.chars[block.chars.length - 1];
+        return last ? last.end : block.pos + 1;
+    }
+}
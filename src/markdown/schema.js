@@ -1,9 +1,58 @@
 import { Schema } from 'prosemirror-model';
 
+/**
+ * Read column alignment from a table cell element
+ * @param {HTMLElement} dom - The th/td element
+ * @returns {string|null} 'left', 'center', 'right' or null
+ */
+function getCellAlign(dom) {
+    const align = dom.style.textAlign || dom.getAttribute('align');
+    return /^(left|center|right)$/.test(align) ? align : null;
+}
+
+/**
+ * DOM attributes for a table cell with column alignment
+ * @param {import('prosemirror-model').Node} node - Table cell node
+ * @returns {Object} DOM attributes
+ */
+function cellAlignAttrs(node) {
+    return node.attrs.align ? { style: `text-align: ${node.attrs.align}` } : {};
+}
+
+/**
+ * Read the spaces after a list's markers from its element
+ * @param {HTMLElement} dom - The ul/ol element
+ * @returns {string} One to four spaces
+ */
+function listSpacing(dom) {
+    const width = +dom.getAttribute('data-spacing');
+    return width >= 1 && width <= 4 ? ' '.repeat(width) : ' ';
+}
+
 export const markdownSchema = new Schema({
     nodes: {
         doc: {
-            content: 'block+'
+            // Footnote definitions may stand alone, without a block to note
+            content: 'front_matter? (block+ footnote_definition* | footnote_definition+)'
+        },
+        front_matter: {
+            // Only allowed as the first child of doc, kept as raw text
+            // markup: the fence, `---` for YAML or `+++` for TOML
+            content: 'text*',
+            code: true,
+            defining: true,
+            isolating: true,
+            marks: '',
+            attrs: { markup: { default: '---' } },
+            parseDOM: [{
+                tag: 'pre[data-front-matter]',
+                preserveWhitespace: 'full',
+                priority: 60,
+                getAttrs: dom => ({ markup: dom.getAttribute('data-front-matter') === '+++' ? '+++' : '---' })
+            }],
+            toDOM(node) {
+                return ['pre', { class: 'front-matter', 'data-front-matter': node.attrs.markup }, ['code', 0]];
+            }
         },
         paragraph: {
             content: 'inline*',
@@ -31,13 +80,17 @@ export const markdownSchema = new Schema({
         },
         horizontal_rule: {
             group: 'block',
-            parseDOM: [{ tag: 'hr' }],
-            toDOM() {
-                return ['div', ['hr']];
+            // markup: the source thematic break, e.g. `***` or `- - -`
+            attrs: { markup: { default: '---' } },
+            parseDOM: [{ tag: 'hr', getAttrs: dom => ({ markup: dom.getAttribute('data-markup') || '---' }) }],
+            toDOM(node) {
+                return ['div', ['hr', node.attrs.markup === '---' ? {} : { 'data-markup': node.attrs.markup }]];
             }
         },
         heading: {
-            attrs: { level: { default: 1 } },
+            // underline: the setext underline (`===`, `---`), null for an ATX heading
+            // closing: the closing hash run of an ATX heading, null if there was none
+            attrs: { level: { default: 1 }, underline: { default: null }, closing: { default: null } },
             content: '(text | hard_break)*',
             group: 'block',
             defining: true,
@@ -57,24 +110,80 @@ export const markdownSchema = new Schema({
             code: true,
             defining: true,
             marks: '',
-            attrs: { params: { default: '' } },
+            // markup: the opening fence (```` ``` ````, `~~~~`), null for an indented code block
+            attrs: { params: { default: '' }, markup: { default: '```' } },
             parseDOM: [{
                 tag: 'pre',
                 preserveWhitespace: 'full',
-                getAttrs: node => ({ params: node.getAttribute('data-params') || '' })
+                getAttrs: node => ({
+                    params: node.getAttribute('data-params') || '',
+                    markup: node.hasAttribute('data-markup') ? node.getAttribute('data-markup') || null : '```'
+                })
+            }],
+            toDOM(node) {
+                return ['pre', {
+                    'data-params': node.attrs.params || null,
+                    'data-markup': node.attrs.markup === '```' ? null : node.attrs.markup || ''
+                }, ['code', 0]];
+            }
+        },
+        math_block: {
+            content: 'text*',
+            group: 'block block_no_list',
+            code: true,
+            defining: true,
+            marks: '',
+            parseDOM: [{ tag: 'div.math-block', preserveWhitespace: 'full' }],
+            toDOM() {
+                return ['div', { class: 'math-block' }, 0];
+            }
+        },
+        html_block: {
+            // Raw HTML kept verbatim as source text
+            // tight: written on the line after the previous block, with no blank line between
+            content: 'text*',
+            group: 'block block_no_list',
+            code: true,
+            defining: true,
+            marks: '',
+            attrs: { tight: { default: false } },
+            parseDOM: [{ tag: 'pre.html-block', preserveWhitespace: 'full', priority: 60 }],
+            toDOM() {
+                return ['pre', { class: 'html-block' }, ['code', 0]];
+            }
+        },
+        link_definition: {
+            // A `[label]: href "title"` link reference definition
+            group: 'block block_no_list',
+            atom: true,
+            attrs: { label: {}, href: {}, title: { default: null } },
+            parseDOM: [{
+                tag: 'div.link-definition[data-label]',
+                getAttrs: dom => ({
+                    label: dom.getAttribute('data-label'),
+                    href: dom.getAttribute('data-href') || '',
+                    title: dom.getAttribute('data-title')
+                })
             }],
             toDOM(node) {
-                return ['pre', node.attrs.params ? { 'data-params': node.attrs.params } : {}, ['code', 0]];
+                const { label, href, title } = node.attrs;
+                return ['div', { class: 'link-definition', 'data-label': label, 'data-href': href, 'data-title': title },
+                    ['span', { class: 'link-definition-label' }, `[${label}]:`], ' ',
+                    ['span', { class: 'link-definition-href' }, href],
+                    ...(title ? [' ', ['span', { class: 'link-definition-title' }, `"${title}"`]] : [])];
             }
         },
         ordered_list: {
             content: 'list_item+',
             group: 'block list',
-            attrs: { order: { default: 1 }, tight: { default: false } },
+            // spacing: the spaces after each marker, one by default
+            attrs: { order: { default: 1 }, delimiter: { default: '.' }, spacing: { default: ' ' }, tight: { default: false } },
             parseDOM: [{
                 tag: 'ol', getAttrs(dom) {
                     return {
                         order: dom.hasAttribute('start') ? +dom.getAttribute('start') : 1,
+                        delimiter: dom.getAttribute('data-delimiter') === ')' ? ')' : '.',
+                        spacing: listSpacing(dom),
                         tight: dom.hasAttribute('data-tight')
                     };
                 }
@@ -82,6 +191,8 @@ export const markdownSchema = new Schema({
             toDOM(node) {
                 return ['ol', {
                     start: node.attrs.order === 1 ? null : node.attrs.order,
+                    'data-delimiter': node.attrs.delimiter === '.' ? null : node.attrs.delimiter,
+                    'data-spacing': node.attrs.spacing === ' ' ? null : node.attrs.spacing.length,
                     'data-tight': node.attrs.tight ? 'true' : null
                 }, 0];
             }
@@ -89,38 +200,159 @@ export const markdownSchema = new Schema({
         bullet_list: {
             content: 'list_item+',
             group: 'block list',
-            attrs: { tight: { default: false } },
-            parseDOM: [{ tag: 'ul', getAttrs: dom => ({ tight: dom.hasAttribute('data-tight') }) }],
+            // spacing: the spaces after each marker, one by default
+            attrs: { bullet: { default: '*' }, spacing: { default: ' ' }, tight: { default: false } },
+            parseDOM: [{
+                tag: 'ul', getAttrs(dom) {
+                    const bullet = dom.getAttribute('data-bullet');
+                    return {
+                        bullet: /^[-*+]$/.test(bullet) ? bullet : '*',
+                        spacing: listSpacing(dom),
+                        tight: dom.hasAttribute('data-tight')
+                    };
+                }
+            }],
             toDOM(node) {
-                return ['ul', { 'data-tight': node.attrs.tight ? 'true' : null }, 0];
+                return ['ul', {
+                    'data-bullet': node.attrs.bullet === '*' ? null : node.attrs.bullet,
+                    'data-spacing': node.attrs.spacing === ' ' ? null : node.attrs.spacing.length,
+                    'data-tight': node.attrs.tight ? 'true' : null
+                }, 0];
             }
         },
         list_item: {
             content: 'block_no_list (block_no_list | list)*',
+            // checked: null for a plain item, true/false for a task list item
+            attrs: { checked: { default: null } },
             defining: true,
-            parseDOM: [{ tag: 'li' }],
+            parseDOM: [{
+                tag: 'li', getAttrs(dom) {
+                    if (dom.hasAttribute('data-checked')) {
+                        return { checked: dom.getAttribute('data-checked') === 'true' };
+                    }
+                    const checkbox = dom.querySelector(':scope > input[type=checkbox], :scope > p > input[type=checkbox]');
+                    return { checked: checkbox ? checkbox.checked : null };
+                }
+            }],
+            toDOM(node) {
+                const { checked } = node.attrs;
+                return ['li', checked === null ? {} : {
+                    class: 'task-list-item',
+                    'data-checked': checked ? 'true' : 'false'
+                }, 0];
+            }
+        },
+        table: {
+            content: 'table_row+',
+            group: 'block block_no_list',
+            tableRole: 'table',
+            isolating: true,
+            parseDOM: [{ tag: 'table' }],
+            toDOM() {
+                return ['table', ['tbody', 0]];
+            }
+        },
+        table_row: {
+            content: '(table_header | table_cell)+',
+            tableRole: 'row',
+            parseDOM: [{ tag: 'tr' }],
             toDOM() {
-                return ['li', 0];
+                return ['tr', 0];
+            }
+        },
+        table_header: {
+            content: 'inline*',
+            attrs: { align: { default: null } },
+            tableRole: 'header_cell',
+            isolating: true,
+            parseDOM: [{ tag: 'th', getAttrs: dom => ({ align: getCellAlign(dom) }) }],
+            toDOM(node) {
+                return ['th', cellAlignAttrs(node), 0];
+            }
+        },
+        table_cell: {
+            content: 'inline*',
+            attrs: { align: { default: null } },
+            tableRole: 'cell',
+            isolating: true,
+            parseDOM: [{ tag: 'td', getAttrs: dom => ({ align: getCellAlign(dom) }) }],
+            toDOM(node) {
+                return ['td', cellAlignAttrs(node), 0];
+            }
+        },
+        footnote_definition: {
+            // Only allowed at the end of doc, after all other blocks
+            content: 'block+',
+            attrs: { label: {} },
+            defining: true,
+            isolating: true,
+            parseDOM: [{
+                tag: 'div.footnote-definition[data-label]',
+                getAttrs: dom => ({ label: dom.getAttribute('data-label') })
+            }],
+            toDOM(node) {
+                return ['div', { class: 'footnote-definition', 'data-label': node.attrs.label }, 0];
             }
         },
         text: {
             group: 'inline'
         },
+        math_inline: {
+            inline: true,
+            group: 'inline',
+            content: 'text*',
+            code: true,
+            marks: '',
+            parseDOM: [{ tag: 'span.math-inline', preserveWhitespace: 'full' }],
+            toDOM() {
+                return ['span', { class: 'math-inline' }, 0];
+            }
+        },
+        html_inline: {
+            // A raw inline tag or comment such as `<kbd>` or `<br>`, kept verbatim
+            inline: true,
+            group: 'inline',
+            content: 'text*',
+            code: true,
+            marks: '',
+            parseDOM: [{ tag: 'code.html-inline', preserveWhitespace: 'full', priority: 60 }],
+            toDOM() {
+                return ['code', { class: 'html-inline' }, 0];
+            }
+        },
+        footnote_ref: {
+            inline: true,
+            atom: true,
+            group: 'inline',
+            attrs: { label: {} },
+            parseDOM: [{
+                tag: 'sup.footnote-ref[data-label]',
+                getAttrs: dom => ({ label: dom.getAttribute('data-label') })
+            }],
+            toDOM(node) {
+                return ['sup', { class: 'footnote-ref', 'data-label': node.attrs.label }, node.attrs.label];
+            },
+            leafText: node => `[^${node.attrs.label}]`
+        },
         image: {
             inline: true,
             attrs: {
                 src: {},
                 alt: { default: null },
-                title: { default: null }
+                title: { default: null },
+                // width: in pixels like `300`, or a percentage like `50%`
+                width: { default: null }
             },
             group: 'inline',
             draggable: true,
             parseDOM: [{
                 tag: 'img[src]', getAttrs(dom) {
+                    const width = dom.getAttribute('width');
                     return {
                         src: dom.getAttribute('src'),
                         title: dom.getAttribute('title'),
-                        alt: dom.getAttribute('alt')
+                        alt: dom.getAttribute('alt'),
+                        width: /^\d+(\.\d+)?%?$/.test(width) ? width : null
                     };
                 }
             }],
@@ -140,39 +372,55 @@ export const markdownSchema = new Schema({
     },
     marks: {
         em: {
+            // markup: the emphasis delimiter, `*` or `_`
+            attrs: { markup: { default: '*' } },
             parseDOM: [
-                { tag: 'i' }, { tag: 'em' },
+                { tag: 'i' }, { tag: 'em', getAttrs: node => ({ markup: node.getAttribute('data-markup') === '_' ? '_' : '*' }) },
                 { style: 'font-style=italic' },
                 { style: 'font-style=normal', clearMark: m => m.type.name === 'em' }
             ],
-            toDOM() {
-                return ['em'];
+            toDOM(mark) {
+                return ['em', mark.attrs.markup === '*' ? {} : { 'data-markup': mark.attrs.markup }];
             }
         },
         strong: {
+            // markup: the strong emphasis delimiter, `**` or `__`
+            attrs: { markup: { default: '**' } },
             parseDOM: [
-                { tag: 'strong' },
+                { tag: 'strong', getAttrs: node => ({ markup: node.getAttribute('data-markup') === '__' ? '__' : '**' }) },
                 { tag: 'b', getAttrs: node => node.style.fontWeight !== 'normal' && null },
                 { style: 'font-weight=400', clearMark: m => m.type.name === 'strong' },
                 { style: 'font-weight', getAttrs: value => /^(bold(er)?|[5-9]\d{2,})$/.test(value) && null }
             ],
-            toDOM() {
-                return ['strong'];
+            toDOM(mark) {
+                return ['strong', mark.attrs.markup === '**' ? {} : { 'data-markup': mark.attrs.markup }];
             }
         },
         link: {
+            // reference: the label of a reference-style link, as written
+            // style: how the link was written, `inline`, `full` (`[text][label]`),
+            // `collapsed` (`[text][]`), `shortcut` (`[text]`) or `autolink`
+            // (`<url>`); null lets the serializer choose
             attrs: {
                 href: {},
-                title: { default: null }
+                title: { default: null },
+                reference: { default: null },
+                style: { default: null }
             },
             inclusive: false,
             parseDOM: [{
                 tag: 'a[href]', getAttrs(dom) {
-                    return { href: dom.getAttribute('href'), title: dom.getAttribute('title') };
+                    return {
+                        href: dom.getAttribute('href'),
+                        title: dom.getAttribute('title'),
+                        reference: dom.getAttribute('data-reference'),
+                        style: dom.getAttribute('data-style')
+                    };
                 }
             }],
             toDOM(node) {
-                return ['a', node.attrs];
+                const { href, title, reference, style } = node.attrs;
+                return ['a', { href, title, 'data-reference': reference, 'data-style': style }];
             }
         },
         code: {
@@ -181,6 +429,36 @@ export const markdownSchema = new Schema({
             toDOM() {
                 return ['code'];
             }
+        },
+        strikethrough: {
+            parseDOM: [
+                { tag: 's' }, { tag: 'del' }, { tag: 'strike' },
+                { style: 'text-decoration=line-through' },
+                { style: 'text-decoration-line=line-through' }
+            ],
+            toDOM() {
+                return ['s'];
+            }
+        },
+        highlight: {
+            parseDOM: [{ tag: 'mark' }],
+            toDOM() {
+                return ['mark'];
+            }
+        },
+        sub: {
+            excludes: 'sub sup',
+            parseDOM: [{ tag: 'sub' }, { style: 'vertical-align=sub' }],
+            toDOM() {
+                return ['sub'];
+            }
+        },
+        sup: {
+            excludes: 'sub sup',
+            parseDOM: [{ tag: 'sup' }, { style: 'vertical-align=super' }],
+            toDOM() {
+                return ['sup'];
+            }
         }
     }
 });
@@ -1,4 +1,5 @@
-import { MarkdownSerializer } from 'prosemirror-markdown';
+import { MarkdownSerializer, MarkdownSerializerState } from 'prosemirror-markdown';
+import { collectLinkDefinitions, normalizeLinkLabel } from './link-definitions.js';
 
 /**
  * Markdown serializer for converting ProseMirror documents back to markdown text
@@ -28,17 +29,168 @@ function isPlainURL(link, parent, index) {
     return index === parent.childCount - 1 || !link.isInSet(parent.child(index + 1).marks);
 }
 
+/**
+ * Choose the form a link is written in. Reference forms are kept while the
+ * document still defines their label with the link's target
+ * @param {MarkdownSerializerState} state - Serializer state
+ * @param {import('prosemirror-model').Mark} mark - Link mark
+ * @param {import('prosemirror-model').Node} parent - Parent textblock
+ * @param {number} index - Index of the first linked child
+ * @returns {string} `inline`, `autolink`, `full`, `collapsed` or `shortcut`
+ */
+function linkStyle(state, mark, parent, index) {
+    const { href, title, reference, style } = mark.attrs;
+    if (reference && (style === 'full' || style === 'collapsed' || style === 'shortcut')) {
+        // Without the document's definitions, e.g. for a slice, the reference is trusted
+        const definitions = state.options.linkDefinitions;
+        const definition = definitions ? definitions.get(normalizeLinkLabel(reference)) : { href, title };
+        if (definition && definition.href === href && definition.title === title) return style;
+    }
+    return style !== 'inline' && isPlainURL(mark, parent, index) ? 'autolink' : 'inline';
+}
+
+/**
+ * Write a link destination, in angle brackets where it would not parse bare
+ * @param {string} href - Link destination
+ * @returns {string} Destination markdown
+ */
+function linkDestination(href) {
+    return !href || /[\s<>]/.test(href) ? `<${href.replace(/[<>]/g, '\\$&')}>` : href.replace(/[()]/g, '\\$&');
+}
+
+/**
+ * Choose a code fence that no line of the code can close
+ * @param {import('prosemirror-model').Node} node - Code block node
+ * @returns {string} The node's own fence, lengthened if needed
+ */
+function fenceFor(node) {
+    const markup = node.attrs.markup || '```';
+    const char = markup[0];
+    // Only a line holding nothing but a fence run can close the block
+    const runs = node.textContent.match(new RegExp(`^ {0,3}\\${char}{3,}[ \\t]*$`, 'gm')) || [];
+    const longest = Math.max(0, ...runs.map(run => run.trim().length));
+    return longest >= markup.length ? char.repeat(longest + 1) : markup;
+}
+
+/**
+ * Check whether a setext underline can be written for a heading
+ * @param {import('prosemirror-model').Node} node - Heading node
+ * @returns {boolean} True if the heading should be written in setext style
+ */
+function isSetext(node) {
+    const { level, underline } = node.attrs;
+    return !!underline && node.content.size > 0 && underline[0] === (level === 1 ? '=' : level === 2 ? '-' : null);
+}
+
+/**
+ * Pick the delimiter for an emphasis mark, keeping `_` only where it can
+ * still open and close: underscores do not work inside a word
+ * @param {MarkdownSerializerState} state - Serializer state
+ * @param {import('prosemirror-model').Mark} mark - em or strong mark
+ * @param {import('prosemirror-model').Node} parent - Parent textblock
+ * @param {number} index - Index of the first marked child
+ * @param {string} fallback - Asterisk delimiter
+ * @returns {string} Delimiter to open and close the mark with
+ */
+function emphasisMarkup(state, mark, parent, index, fallback) {
+    const markup = mark.attrs.markup;
+    if (markup === fallback) return markup;
+
+    let end = index;
+    while (end < parent.childCount && mark.isInSet(parent.child(end).marks)) end++;
+    const next = end < parent.childCount ? parent.child(end) : null;
+    const after = next && next.isText ? next.text[0] : '';
+    // Block separators are written lazily, so a pending close means a fresh line
+    const before = state.closed ? '' : state.out.slice(-1);
+    return /[\p{L}\p{N}]/u.test(before + after) ? fallback : markup;
+}
+
+/**
+ * Mark spec for em/strong that re-emits the delimiter the mark was parsed with
+ * @param {string} fallback - Asterisk delimiter used for new marks and inside words
+ * @returns {Object} Serializer mark spec
+ */
+function emphasisSpec(fallback) {
+    return {
+        open(state, mark, parent, index) {
+            const markup = emphasisMarkup(state, mark, parent, index, fallback);
+            state.emphasisMarkup = { ...state.emphasisMarkup, [mark.type.name]: markup };
+            return markup;
+        },
+        close(state, mark) {
+            return (state.emphasisMarkup && state.emphasisMarkup[mark.type.name]) || fallback;
+        },
+        mixable: true,
+        expelEnclosingWhitespace: true
+    };
+}
+
+/**
+ * Render the inline content of a table cell to a single line of markdown
+ * @param {MarkdownSerializerState} state - Parent serializer state
+ * @param {import('prosemirror-model').Node} cell - Table cell node
+ * @returns {string} Cell markdown with pipes escaped
+ */
+function renderCell(state, cell) {
+    const cellState = new MarkdownSerializerState(state.nodes, state.marks, state.options);
+    cellState.renderInline(cell, false);
+    // A cell is a single line, so hard breaks are written as `<br>`
+    return cellState.out.replace(/\\\n/g, '<br>').replace(/\n/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+/**
+ * Pad cell text to the column width according to the column alignment
+ * @param {string} text - Cell markdown
+ * @param {number} width - Column width
+ * @param {string|null} align - Column alignment
+ * @returns {string} Padded cell text
+ */
+function padCell(text, width, align) {
+    const space = width - text.length;
+    if (align === 'right') return ' '.repeat(space) + text;
+    if (align === 'center') {
+        const left = Math.floor(space / 2);
+        return ' '.repeat(left) + text + ' '.repeat(space - left);
+    }
+    return text + ' '.repeat(space);
+}
+
+/**
+ * Build the delimiter row cell for a column
+ * @param {number} width - Column width
+ * @param {string|null} align - Column alignment
+ * @returns {string} Delimiter such as `:---:`
+ */
+function delimiterCell(width, align) {
+    if (align === 'left') return ':' + '-'.repeat(width - 1);
+    if (align === 'right') return '-'.repeat(width - 1) + ':';
+    if (align === 'center') return ':' + '-'.repeat(width - 2) + ':';
+    return '-'.repeat(width);
+}
+
 /**
  A serializer for the [basic schema](https://prosemirror.net/docs/ref/#schema).
  */
 export const markdownSerializer = new MarkdownSerializer({
+    front_matter(state, node) {
+        // Written back untouched between its original fences
+        state.write(node.attrs.markup + '\n');
+        state.text(node.textContent, false);
+        state.ensureNewLine();
+        state.write(node.attrs.markup);
+        state.closeBlock(node);
+    },
     blockquote(state, node) {
         state.wrapBlock('> ', null, node, () => state.renderContent(node));
     },
     code_block(state, node) {
-        // Make sure the front matter fences are longer than any dash sequence within it
-        const backticks = node.textContent.match(/`{3,}/gm);
-        const fence = backticks ? (backticks.sort().slice(-1)[0] + '`') : '```';
+        // Indented code can't carry an info string, be empty or interrupt a tight list item
+        if (node.attrs.markup === null && !node.attrs.params && node.textContent.trim() && !state.inTightList) {
+            state.wrapBlock('    ', null, node, () => state.text(node.textContent, false));
+            state.closeBlock(node);
+            return;
+        }
+        const fence = fenceFor(node);
         state.write(fence + (node.attrs.params || '') + '\n');
         state.text(node.textContent, false);
         // Add a newline to the current content before adding closing marker
@@ -47,8 +199,16 @@ export const markdownSerializer = new MarkdownSerializer({
         state.closeBlock(node);
     },
     heading(state, node) {
+        if (isSetext(node)) {
+            state.renderInline(node, false);
+            state.ensureNewLine();
+            state.write(node.attrs.underline);
+            state.closeBlock(node);
+            return;
+        }
         state.write(state.repeat('#', node.attrs.level) + ' ');
         state.renderInline(node, false);
+        if (node.attrs.closing) state.write((node.content.size ? ' ' : '') + node.attrs.closing);
         state.closeBlock(node);
     },
     horizontal_rule(state, node) {
@@ -56,27 +216,114 @@ export const markdownSerializer = new MarkdownSerializer({
         state.closeBlock(node);
     },
     bullet_list(state, node) {
-        state.renderList(node, '  ', () => (node.attrs.bullet || '*') + ' ');
+        const spacing = node.attrs.spacing || ' ';
+        state.renderList(node, state.repeat(' ', 1 + spacing.length), () => (node.attrs.bullet || '*') + spacing);
     },
     ordered_list(state, node) {
         let start = node.attrs.order || 1;
         let maxW = String(start + node.childCount - 1).length;
-        let space = state.repeat(' ', maxW + 2);
+        const spacing = node.attrs.spacing || ' ';
+        let space = state.repeat(' ', maxW + 1 + spacing.length);
         state.renderList(node, space, i => {
             let nStr = String(start + i);
-            return state.repeat(' ', maxW - nStr.length) + nStr + '. ';
+            return state.repeat(' ', maxW - nStr.length) + nStr + (node.attrs.delimiter || '.') + spacing;
         });
     },
     list_item(state, node) {
+        if (node.attrs.checked !== null) {
+            const marker = node.attrs.checked ? '[x]' : '[ ]';
+            state.write(node.firstChild.content.size ? marker + ' ' : marker);
+        }
         state.renderContent(node);
     },
-    paragraph(state, node) {
+    table(state, node) {
+        const rows = [];
+        node.forEach(row => {
+            const cells = [];
+            row.forEach(cell => cells.push(renderCell(state, cell)));
+            rows.push(cells);
+        });
+
+        // Column alignment comes from the header row, like GFM's delimiter row
+        const columns = Math.max(...rows.map(cells => cells.length));
+        const aligns = [], widths = [];
+        for (let col = 0; col < columns; col++) {
+            const header = col < node.firstChild.childCount ? node.firstChild.child(col) : null;
+            aligns.push(header ? header.attrs.align : null);
+            widths.push(Math.max(3, ...rows.map(cells => (cells[col] || '').length)));
+        }
+
+        const line = cells => '| ' + cells.join(' | ') + ' |';
+        const lines = rows.map(cells => line(widths.map((width, col) => padCell(cells[col] || '', width, aligns[col]))));
+        lines.splice(1, 0, '|' + widths.map((width, col) => delimiterCell(width + 2, aligns[col])).join('|') + '|');
+
+        lines.forEach((text, i) => {
+            if (i) state.ensureNewLine();
+            state.write(text);
+        });
+        state.closeBlock(node);
+    },
+    footnote_definition(state, node) {
+        // Consecutive definitions are written without blank lines between them
+        if (state.closed && state.closed.type === node.type) state.flushClose(1);
+        state.wrapBlock('    ', `[^${node.attrs.label}]: `, node, () => state.renderContent(node));
+    },
+    footnote_ref(state, node) {
+        state.write(`[^${node.attrs.label}]`);
+    },
+    math_block(state, node) {
+        state.write('$$\n');
+        state.text(node.textContent, false);
+        state.ensureNewLine();
+        state.write('$$');
+        state.closeBlock(node);
+    },
+    math_inline(state, node, parent, index) {
+        const tex = node.textContent;
+        // An empty formula shows nothing and has no markdown form
+        if (!tex) return;
+        const next = index + 1 < parent.childCount ? parent.child(index + 1).textContent : '';
+        if (!/^[\s`]|\s$|(?:^|[^\\])\$|\\$/.test(tex) && !/^\d/.test(next)) {
+            state.write('$' + tex + '$');
+            return;
+        }
+        // TeX the `$…$` form would end early or not start: between backticks
+        // longer than any run inside, padded when it starts or ends with one
+        const longest = Math.max(0, ...(tex.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const pad = /^`|`$|^ [\s\S]*\S[\s\S]* $/.test(tex) ? ' ' : '';
+        state.write('$' + fence + pad + tex + pad + fence + '$');
+    },
+    link_definition(state, node) {
+        // Consecutive definitions are written without blank lines between them
+        if (state.closed && state.closed.type === node.type) state.flushClose(1);
+        const { label, href, title } = node.attrs;
+        state.write(`[${label}]: ${linkDestination(href)}` + (title ? ` "${title.replace(/"/g, '\\"')}"` : ''));
+        state.closeBlock(node);
+    },
+    html_block(state, node) {
+        // An HTML block that interrupted a paragraph, such as a closing
+        // `</details>`, stays directly below the block before it
+        if (state.closed && node.attrs.tight) state.flushClose(1);
+        state.text(node.textContent, false);
+        state.closeBlock(node);
+    },
+    html_inline(state, node) {
+        state.text(node.textContent, false);
+    },
+    paragraph(state, node, parent, index) {
+        // The empty paragraph the schema puts before footnote definitions
+        // when there is nothing else has no markdown
+        const next = index + 1 < parent.childCount ? parent.child(index + 1) : null;
+        const first = index === 0 || parent.child(index - 1).type.name === 'front_matter';
+        if (!node.content.size && first && next && next.type.name === 'footnote_definition') return;
         state.renderInline(node);
         state.closeBlock(node);
     },
     image(state, node) {
         state.write('![' + state.esc(node.attrs.alt || '') + '](' + node.attrs.src.replace(/[()]/g, '\\$&') +
-            (node.attrs.title ? ' "' + node.attrs.title.replace(/"/g, '\\"') + '"' : '') + ')');
+            (node.attrs.title ? ' "' + node.attrs.title.replace(/"/g, '\\"') + '"' : '') + ')' +
+            (node.attrs.width ? `{width=${node.attrs.width}}` : ''));
     },
     hard_break(state, node, parent, index) {
         for (let i = index + 1; i < parent.childCount; i++)
@@ -86,21 +333,41 @@ export const markdownSerializer = new MarkdownSerializer({
             }
     },
     text(state, node) {
+        if (node.marks.some(mark => mark.type.name === 'sub' || mark.type.name === 'sup')) {
+            // Sub/superscript content may not contain bare whitespace
+            state.text(state.esc(node.text).replace(/[ \t]/g, '\\$&'), false);
+            return;
+        }
         state.text(node.text, !state.inAutolink);
     }
 }, {
-    em: { open: '*', close: '*', mixable: true, expelEnclosingWhitespace: true },
-    strong: { open: '**', close: '**', mixable: true, expelEnclosingWhitespace: true },
+    em: emphasisSpec('*'),
+    strong: emphasisSpec('**'),
     link: {
         open(state, mark, parent, index) {
-            state.inAutolink = isPlainURL(mark, parent, index);
+            state.linkStyle = linkStyle(state, mark, parent, index);
+            state.inAutolink = state.linkStyle === 'autolink';
+            // Flush pending block separators so the link text can be found again on close
+            state.write();
+            state.linkTextStart = state.out.length + 1;
             return state.inAutolink ? '<' : '[';
         },
         close(state, mark, parent, index) {
-            let { inAutolink } = state;
+            const style = state.linkStyle;
+            const text = state.out.slice(state.linkTextStart);
             state.inAutolink = undefined;
-            return inAutolink ? '>'
-                : '](' + mark.attrs.href.replace(/[()"]/g, '\\$&') + (mark.attrs.title ? ` "${mark.attrs.title.replace(/"/g, '\\"')}"` : '') + ')';
+            state.linkStyle = undefined;
+            if (style === 'autolink') return '>';
+            if (style === 'inline') {
+                return '](' + mark.attrs.href.replace(/[()"]/g, '\\$&') + (mark.attrs.title ? ` "${mark.attrs.title.replace(/"/g, '\\"')}"` : '') + ')';
+            }
+
+            // Collapsed and shortcut references only resolve while the text matches the label
+            const { reference } = mark.attrs;
+            if (style === 'full' || normalizeLinkLabel(text) !== normalizeLinkLabel(reference)) return `][${reference}]`;
+            // A shortcut followed by `(` or `[` would read as an inline link or a full reference
+            const next = index < parent.childCount ? parent.child(index) : null;
+            return style === 'collapsed' || (next && next.isText && /^[([]/.test(next.text)) ? '][]' : ']';
         },
         mixable: true
     },
@@ -112,7 +379,16 @@ export const markdownSerializer = new MarkdownSerializer({
             return backticksFor(parent.child(index - 1), 1);
         },
         escape: false
-    }
+    },
+    strikethrough: { open: '~~', close: '~~', mixable: true, expelEnclosingWhitespace: true },
+    highlight: { open: '==', close: '==', mixable: true, expelEnclosingWhitespace: true },
+    sub: { open: '~', close: '~', expelEnclosingWhitespace: true },
+    sup: { open: '^', close: '^', expelEnclosingWhitespace: true }
+}, {
+    // `~` is already escaped by default; also escape what would start a highlight
+    // (`==` opening text with a closing `==` later on), superscript, inline math
+    // or raw HTML
+    escapeExtraCharacters: /==(?=\S(?:[\s\S]*?\S)?==)|\^(?=[^\s^]*\^)|\$(?=[^\s$](?:[^$]*[^\s$\\])?\$(?!\d))|<(?=[A-Za-z/!?])/g
 });
 
 /**
@@ -121,5 +397,5 @@ export const markdownSerializer = new MarkdownSerializer({
  * @returns {string} Markdown text
  */
 export function serializeMarkdown(doc) {
-    return markdownSerializer.serialize(doc);
+    return markdownSerializer.serialize(doc, { linkDefinitions: collectLinkDefinitions(doc) });
 }
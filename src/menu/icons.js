@@ -23,6 +23,26 @@ export const icons = {
             '<path d="M16.0001 19.5648L20.8844 13.8663C21.4168 13.2452 21.683 12.9347 21.683 12.5648C21.683 12.1948 21.4168 11.8843 20.8844 11.2632L16.0001 5.56476M8.00006 19.5648L3.1157 13.8663C2.58333 13.2452 2.31714 12.9347 2.31714 12.5648C2.31714 12.1948 2.58333 11.8843 3.1157 11.2632L8.00006 5.56476" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
             '</svg>',
     },
+    strikethrough: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 12.5647H21M17 5.5647C16 4.2647 14.2 3.5647 12 3.5647C9 3.5647 7 5.0647 7 7.5647C7 9.0647 7.8 10.0647 9 10.8647M7 18.5647C8 20.5647 10 21.5647 12.5 21.5647C15.5 21.5647 17.5 20.0647 17.5 17.5647C17.5 16.3647 17 15.4647 16.2 14.7647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    highlight: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M14 4.5647L20 10.5647M15.5 3.0647L21.5 9.0647L11 19.5647L5 13.5647L15.5 3.0647ZM5 13.5647L3 19.5647L5 21.5647H11L11 19.5647M2 22.5647H22" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    subscript: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 5.5647L12 16.5647M12 5.5647L3 16.5647M16 15.5647C16.5 14.5647 17.3 14.0647 18.3 14.0647C19.5 14.0647 20.5 14.8647 20.5 16.0647C20.5 17.0647 19.8 17.7647 18.8 18.5647L16 20.5647V21.5647H21" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    superscript: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 8.5647L12 19.5647M12 8.5647L3 19.5647M16 5.5647C16.5 4.5647 17.3 4.0647 18.3 4.0647C19.5 4.0647 20.5 4.8647 20.5 6.0647C20.5 7.0647 19.8 7.7647 18.8 8.5647L16 10.5647V11.5647H21" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
     link: {
         html: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="25" viewBox="0 0 24 25"><path d="M10.55,14.01c-1.64-1.64-1.64-4.21,0-5.85l4.39-4.39c.73-.73,1.78-1.16,2.88-1.16s2.14.42,2.88,1.16l.1.1c1.53,1.53,1.53,4.22,0,5.75l-1.53,1.53" style="fill:none; stroke:#000; stroke-linecap:square; stroke-linejoin:round; stroke-width:2px;"/><path d="M14.12,10.44c.83.76,1.27,1.8,1.27,2.89s-.44,2.13-1.23,2.93l-5.1,5.1c-.73.73-1.78,1.16-2.88,1.16s-2.14-.42-2.88-1.16l-.1-.1c-1.53-1.53-1.53-4.22,0-5.75l2.25-2.25" style="fill:none; stroke:#000; stroke-linecap:square; stroke-linejoin:round; stroke-width:2px;"/></svg>',
     },
@@ -58,6 +78,16 @@ export const icons = {
             '<path d="M23 5.5647H9M23 12.5647H9M23 19.5647H9M1.5 6.5647L3.5 5.5647V10.5647M3.5 10.5647H1.5M3.5 10.5647H5.5M1 14.5647H3.69722C4.41673 14.5647 5 15.148 5 15.8675C5 16.3031 4.7823 16.7098 4.41987 16.9514L2 18.5647V19.5647H6" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
             '</svg>',
     },
+    footnote: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M2 12.5647H13M2 17.5647H13M2 22.5647H8M18 3.5647V9.5647M18 3.5647L16 5.0647M16 9.5647H20" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    task_list: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M23 7.5647H12M23 17.5647H12M2 4.5647H8V10.5647H2V4.5647ZM2 14.5647H8V20.5647H2V14.5647ZM3.5 17.5647L5 19.0647L9.5 13.0647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
     undo: {
         html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
             '<path d="M7.00009 5.56473L3.41431 9.15052C2.74764 9.81718 2.41431 10.1505 2.41431 10.5647C2.41431 10.9789 2.74764 11.3123 3.41431 11.9789L7.00009 15.5647M3.00009 10.5647L17.5001 10.5647C19.9854 10.5647 22.0001 12.5794 22.0001 15.0647C22.0001 17.55 19.9854 19.5647 17.5001 19.5647H10.0001" stroke="black" stroke-width="2"/>\n' +
@@ -91,4 +121,54 @@ export const icons = {
             '<path d="M8 2.5647V22.5647M2 15.5647H22M2 9.5647H22M10 22.5647H14C17.7712 22.5647 19.6569 22.5647 20.8284 21.3931C22 20.2216 22 18.3359 22 14.5647V10.5647C22 6.79346 22 4.90784 20.8284 3.73627C19.6569 2.5647 17.7712 2.5647 14 2.5647H10C6.22876 2.5647 4.34315 2.5647 3.17157 3.73627C2 4.90784 2 6.79346 2 10.5647V14.5647C2 18.3359 2 20.2216 3.17157 21.3931C4.34315 22.5647 6.22876 22.5647 10 22.5647Z" stroke="black" stroke-width="2"/>\n' +
             '</svg>',
     },
+    table_row_before: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 13.5647H21V21.5647H3V13.5647ZM12 13.5647V21.5647M12 3.5647V10.5647M8.5 7.0647H15.5" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_row_after: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 3.5647H21V11.5647H3V3.5647ZM12 3.5647V11.5647M12 14.5647V21.5647M8.5 18.0647H15.5" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_col_before: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M13 3.5647H21V21.5647H13V3.5647ZM13 12.5647H21M3 12.5647H10M6.5 9.0647V16.0647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_col_after: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 3.5647H11V21.5647H3V3.5647ZM3 12.5647H11M14 12.5647H21M17.5 9.0647V16.0647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_row_delete: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 3.5647H21V11.5647H3V3.5647ZM12 3.5647V11.5647M9 15.5647L15 21.5647M15 15.5647L9 21.5647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_col_delete: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 3.5647H11V21.5647H3V3.5647ZM3 12.5647H11M14.5 9.5647L20.5 15.5647M20.5 9.5647L14.5 15.5647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_delete: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 3.5647H21V21.5647H3V3.5647ZM3 9.5647H21M8 15.5647L16 15.5647" stroke="black" stroke-width="2" stroke-linejoin="round"/>\n' +
+            '</svg>',
+    },
+    table_align_left: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 5.5647H21M3 10.5647H14M3 15.5647H21M3 20.5647H14" stroke="black" stroke-width="2" stroke-linecap="round"/>\n' +
+            '</svg>',
+    },
+    table_align_center: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 5.5647H21M7 10.5647H17M3 15.5647H21M7 20.5647H17" stroke="black" stroke-width="2" stroke-linecap="round"/>\n' +
+            '</svg>',
+    },
+    table_align_right: {
+        html: '<svg width="24" height="25" viewBox="0 0 24 25" fill="none" xmlns="http://www.w3.org/2000/svg">\n' +
+            '<path d="M3 5.5647H21M10 10.5647H21M3 15.5647H21M10 20.5647H21" stroke="black" stroke-width="2" stroke-linecap="round"/>\n' +
+            '</svg>',
+    },
 };
@@ -219,6 +219,18 @@ export function renderGrouped(view, content) {
     return { dom: result, update };
 }
 
+/**
+ * Check a node's type and the given attributes, ignoring attributes not listed
+ * (such as the markdown markup a heading or list was written with)
+ * @param {import('prosemirror-model').Node} node - Node to check
+ * @param {import('prosemirror-model').NodeType} nodeType - Expected node type
+ * @param {Object} attrs - Attributes to match
+ * @returns {boolean} True if the node matches
+ */
+function hasBlockAttrs(node, nodeType, attrs) {
+    return node.type === nodeType && Object.keys(attrs).every(name => node.attrs[name] === attrs[name]);
+}
+
 /**
  * Pre-computes expensive state operations to avoid redundant computation
  * @implements {import('./menu.d.ts').StateContext}
@@ -292,9 +304,9 @@ export class StateContext {
     // Efficient block checking using pre-computed data  
     isBlockActive(nodeType, attrs = {}) {
         if (this.nodeSelection) {
-            return this.nodeSelection.hasMarkup(nodeType, attrs);
+            return hasBlockAttrs(this.nodeSelection, nodeType, attrs);
         }
-        return this.selectionAtBlockEnd && this.parentNode.hasMarkup(nodeType, attrs);
+        return this.selectionAtBlockEnd && hasBlockAttrs(this.parentNode, nodeType, attrs);
     }
 }
 
@@ -0,0 +1,12 @@
+/**
+ * Node.js entry point of prosemirror-md
+ *
+ * The markdown side of the editor without the DOM: converting between
+ * markdown and documents, and normalizing markdown to the form the editor
+ * writes.
+ */
+export { markdownSchema } from './markdown/schema.js';
+export { parseMarkdown } from './markdown/parser.js';
+export { serializeMarkdown } from './markdown/serializer.js';
+export { createMarkdownFormat, defaultFormat } from './markdown/extensions.js';
+export { normalizeMarkdown } from './markdown/normalize.js';
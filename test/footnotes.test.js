@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMarkdown } from '../src/markdown/normalize.js';
+
+test('a document of footnote definitions only has no leading blank line', () => {
+    assert.equal(normalizeMarkdown('[^1]: only a note\n'), '[^1]: only a note\n');
+    assert.equal(normalizeMarkdown('---\ntitle: x\n---\n\n[^1]: note\n'), '---\ntitle: x\n---\n\n[^1]: note\n');
+});
+
+test('containers holding only a definition are dropped', () => {
+    assert.equal(normalizeMarkdown('> [^1]: x\n\nText[^1]\n'), 'Text[^1]\n\n[^1]: x\n');
+    assert.equal(normalizeMarkdown('- a\n- > [^1]: x\n\nText[^1]\n'), '- a\n\nText[^1]\n\n[^1]: x\n');
+    // Empty quotes written as such are kept
+    assert.equal(normalizeMarkdown('>\n'), '> \n');
+});
@@ -0,0 +1,67 @@
+import './helpers/dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditorState } from 'prosemirror-state';
+import { createEditor } from '../src/index.js';
+import { parseMarkdown } from '../src/markdown/parser.js';
+import { frontMatterGuardPlugin } from '../src/editor/front-matter.js';
+
+function editor(markdown, views) {
+    const target = document.createElement('div');
+    document.body.appendChild(target);
+    return createEditor(target, { markdown, views, autofocus: false });
+}
+
+test('setFrontMatter emits change in the markdown pane alone', () => {
+    const ed = editor('---\ntitle: a\n---\n\nBody\n', ['markdown']);
+    const changes = [];
+    ed.on('change', event => changes.push(event));
+
+    ed.setFrontMatter({ title: 'b' });
+    assert.deepEqual(changes, [{ markdown: '---\ntitle: b\n---\n\nBody', origin: 'markdown' }]);
+    assert.deepEqual(ed.getFrontMatter(), { title: 'b' });
+    ed.destroy();
+});
+
+test('setFrontMatter emits change in the WYSIWYG pane', () => {
+    const ed = editor('Body\n', ['wysiwyg']);
+    const changes = [];
+    ed.on('change', event => changes.push(event));
+
+    ed.setFrontMatter({ title: 'b' });
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].markdown, '---\ntitle: b\n---\n\nBody');
+    ed.destroy();
+});
+
+test('the front matter guard refuses a line reading as the fence', () => {
+    const errors = [];
+    const state = EditorState.create({
+        doc: parseMarkdown('+++\ntitle = "a"\n+++\n\nBody\n'),
+        plugins: [frontMatterGuardPlugin({ onReject: error => errors.push(error) })]
+    });
+    const end = state.doc.firstChild.nodeSize - 1;
+
+    const { state: after } = state.applyTransaction(state.tr.insertText('\n+++', end));
+    assert.ok(after.doc.eq(state.doc));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /\+\+\+/);
+
+    // Anything else is fine
+    const { state: edited } = state.applyTransaction(state.tr.insertText('\n++', end));
+    assert.equal(edited.doc.firstChild.textContent, 'title = "a"\n++');
+    assert.equal(errors.length, 1);
+});
+
+test('refused front matter edits emit error', () => {
+    const ed = editor('---\ntitle: a\n---\n\nBody\n', ['wysiwyg']);
+    const errors = [];
+    ed.on('error', event => errors.push(event));
+
+    const { view } = ed.wysiwygView;
+    view.dispatch(view.state.tr.insertText('\n---', view.state.doc.firstChild.nodeSize - 1));
+    assert.equal(ed.getMarkdown(), '---\ntitle: a\n---\n\nBody');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].origin, 'wysiwyg');
+    ed.destroy();
+});
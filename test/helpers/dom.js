@@ -0,0 +1,23 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser globals for tests of code that builds or reads DOM nodes, from jsdom
+ */
+
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+
+globalThis.window = window;
+globalThis.document = window.document;
+
+// What ProseMirror views need besides the document
+for (const name of ['navigator', 'Node', 'HTMLElement', 'Event', 'CustomEvent', 'MutationObserver', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame']) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+}
+
+// jsdom does no layout; measuring gives empty boxes
+const noRects = () => [];
+const emptyRect = () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 });
+window.HTMLElement.prototype.getClientRects = noRects;
+window.Range.prototype.getClientRects = noRects;
+window.Range.prototype.getBoundingClientRect = emptyRect;
+window.scrollBy = () => {};
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown } from '../src/markdown/parser.js';
+import { serializeMarkdown } from '../src/markdown/serializer.js';
+
+function roundTrip(markdown) {
+    return serializeMarkdown(parseMarkdown(markdown));
+}
+
+test('a <details> block round-trips with its blank lines as written', () => {
+    const cases = [
+        '<details>\n<summary>More</summary>\n\nHidden *text*.\n</details>',
+        '<details>\n<summary>More</summary>\n\nHidden *text*.\n\n</details>',
+        '> <details>\n> <summary>More</summary>\n>\n> Hidden text.\n> </details>'
+    ];
+    for (const markdown of cases) {
+        assert.equal(roundTrip(markdown), markdown);
+    }
+});
+
+test('an HTML block that interrupts a paragraph stays below it', () => {
+    assert.equal(roundTrip('Text\n<div>block</div>'), 'Text\n<div>block</div>');
+    assert.equal(roundTrip('Text\n\n<div>block</div>'), 'Text\n\n<div>block</div>');
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown } from '../src/markdown/parser.js';
+import { serializeMarkdown } from '../src/markdown/serializer.js';
+
+function roundTrip(markdown) {
+    return serializeMarkdown(parseMarkdown(markdown));
+}
+
+test('closing hashes of ATX headings are kept', () => {
+    for (const markdown of ['# Heading #', '## Heading ###', '> ### Quoted ###', '# #']) {
+        assert.equal(roundTrip(markdown), markdown);
+    }
+    assert.equal(roundTrip('# Heading'), '# Heading');
+});
+
+test('spacing after list markers is kept', () => {
+    for (const markdown of ['*   item\n*   two', '-  a\n   - b', '1.  one\n2.  two', '1)  one\n2)  two']) {
+        assert.equal(roundTrip(markdown), markdown);
+    }
+    assert.equal(roundTrip('*   item\n\n    more'), '*   item\n\n    more');
+    assert.equal(roundTrip('- item'), '- item');
+});
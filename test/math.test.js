@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownSchema as schema } from '../src/markdown/schema.js';
+import { parseMarkdown } from '../src/markdown/parser.js';
+import { serializeMarkdown } from '../src/markdown/serializer.js';
+
+// A paragraph of text with inline math, written as [before, tex, after]
+function paragraph(before, tex, after) {
+    const math = schema.nodes.math_inline.create(null, tex ? schema.text(tex) : null);
+    return schema.node('doc', null, [
+        schema.node('paragraph', null, [before && schema.text(before), math, after && schema.text(after)].filter(Boolean))
+    ]);
+}
+
+function assertRoundTrip(doc) {
+    const markdown = serializeMarkdown(doc);
+    assert.ok(parseMarkdown(markdown).eq(doc), `${JSON.stringify(markdown)} reads back differently`);
+    return markdown;
+}
+
+test('inline math is written between dollars', () => {
+    assert.equal(assertRoundTrip(paragraph('Euler: ', 'e^{i\\pi} + 1 = 0', '.')), 'Euler: $e^{i\\pi} + 1 = 0$.');
+    assert.equal(assertRoundTrip(paragraph('costs ', '\\$5', ' here')), 'costs $\\$5$ here');
+});
+
+test('inline math the dollar form cannot carry round-trips', () => {
+    const cases = [
+        ['a ', 'x ', ' b'],
+        ['a ', ' x', ' b'],
+        ['a ', ' x ', ' b'],
+        ['a ', '   ', ' b'],
+        ['a ', 'x$y', ' b'],
+        ['a ', '$', ' b'],
+        ['a ', '\\text{costs $5$}', ' b'],
+        ['a ', 'x\\', ' b'],
+        ['', 'x', '2 apples'],
+        ['a ', '`x', ' b'],
+        ['a ', 'x`', ' b'],
+        ['a ', 'x ``y`` z', ' b']
+    ];
+    for (const [before, tex, after] of cases) assertRoundTrip(paragraph(before, tex, after));
+});
+
+test('an empty formula is left out', () => {
+    assert.equal(serializeMarkdown(paragraph('a ', '', ' b')), 'a  b');
+});
+
+test('inline math between backticks', () => {
+    const math = markdown => {
+        const nodes = [];
+        parseMarkdown(markdown).descendants(node => {
+            if (node.type.name === 'math_inline') nodes.push(node.textContent);
+        });
+        return nodes;
+    };
+    assert.deepEqual(math('$`x$y`$ and $`` a`b ``$'), ['x$y', 'a`b']);
+    assert.deepEqual(math('$` x `$2'), ['x']);
+    // Not closed: a dollar and a code span
+    assert.deepEqual(math('$`x` y'), []);
+});
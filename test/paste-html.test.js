@@ -0,0 +1,137 @@
+import './helpers/dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+import { DOMParser, Slice } from 'prosemirror-model';
+import { cleanPastedHtml, pasteCleanupPlugin } from '../src/editor/paste-html.js';
+import { markdownSchema } from '../src/markdown/schema.js';
+import { serializeMarkdown } from '../src/markdown/serializer.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/paste/${name}`, import.meta.url), 'utf8');
+
+/**
+ * Paste HTML the way the editor does: clean it up, parse it with the schema
+ * and clean up the parsed content
+ * @param {string} html - Clipboard HTML
+ * @returns {import('prosemirror-model').Node} Pasted content as a document
+ */
+function paste(html) {
+    const { props } = pasteCleanupPlugin();
+    const template = document.createElement('template');
+    template.innerHTML = props.transformPastedHTML(html);
+    const doc = DOMParser.fromSchema(markdownSchema).parse(template.content);
+    const slice = props.transformPasted(new Slice(doc.content, 0, 0));
+    return markdownSchema.topNodeType.create(null, slice.content);
+}
+
+// Names of the nodes a document holds, in document order
+function nodeNames(doc) {
+    const names = [];
+    doc.descendants(node => {
+        names.push(node.type.name);
+    });
+    return names;
+}
+
+test('Google Docs', () => {
+    const doc = paste(fixture('google-docs.html'));
+    assert.equal(serializeMarkdown(doc), [
+        '# Release notes',
+        '',
+        '## What changed',
+        '',
+        'The editor now keeps **tables** and *footnotes*, drops ~~prompts~~ and runs `prosemirror-md --check`. ' +
+            'See the [full report](https://example.com/report).',
+        '',
+        '* Tables',
+        '  * Column alignment',
+        '* Footnotes',
+        '',
+        '| Feature | Status                 |',
+        '|---------|------------------------|',
+        '| Math    | Done<br>Shipped in 2.0 |'
+    ].join('\n'));
+    // The wrapping <b style="font-weight:normal"> is not bold
+    assert.deepEqual(doc.child(2).firstChild.marks, []);
+    // Paragraphs in a cell become lines
+    assert.equal(doc.lastChild.lastChild.lastChild.child(1).type.name, 'hard_break');
+});
+
+test('Word', () => {
+    const doc = paste(fixture('word.html'));
+    assert.equal(serializeMarkdown(doc), [
+        '# Meeting minutes',
+        '',
+        '## Planning, week 12',
+        '',
+        'Attendees agreed on **three** priorities for the *next* release:',
+        '',
+        '* Faster startup',
+        '  * Lazy loading',
+        '* Better paste',
+        '',
+        '# Actions',
+        '',
+        '3. Draft the ~~memo~~ announcement',
+        '4. Book the room',
+        '',
+        '| **Owner** | **Due** |',
+        '|-----------|---------|',
+        '| Sam       | Friday  |'
+    ].join('\n'));
+    // List paragraphs are nested by their level, without the typed out markers
+    const list = doc.child(3);
+    assert.equal(list.type.name, 'bullet_list');
+    assert.equal(list.childCount, 2);
+    assert.equal(list.child(0).child(1).type.name, 'bullet_list');
+    assert.equal(list.child(0).child(1).textContent, 'Lazy loading');
+    assert.equal(doc.child(5).attrs.order, 3);
+    // Padding paragraphs are dropped
+    doc.forEach(node => assert.ok(node.content.size > 0));
+});
+
+test('web page', () => {
+    const doc = paste(fixture('web-page.html'));
+    assert.equal(serializeMarkdown(doc), [
+        '## Installation',
+        '',
+        'Install the package and its **peer** dependencies:',
+        '',
+        '```shell',
+        'npm install prosemirror-md',
+        'npm install --save-dev vite',
+        '```',
+        '',
+        '### Usage',
+        '',
+        'Create an editor with `createEditor`, then listen for changes:',
+        '',
+        '```',
+        'const editor = createEditor(element);',
+        'editor.on(\'change\', save);',
+        '```',
+        '',
+        'Works in every [modern browser](https://example.com/browsers).',
+        '',
+        'Supported syntax',
+        '',
+        '| Syntax                   | Since |',
+        '|--------------------------|-------|',
+        '| Tables<br>and task lists | 1.0   |',
+        '| Math, with a renderer    |       |',
+        '',
+        '* Read the guide',
+        '* Try the [demo](https://example.com/demo)'
+    ].join('\n'));
+    // Single cell layout tables are unwrapped and script links dropped
+    assert.equal(nodeNames(doc).filter(name => name === 'table').length, 1);
+    doc.descendants(node => {
+        for (const mark of node.marks) assert.ok(!/^javascript:/i.test(mark.attrs.href || ''));
+    });
+});
+
+test('content copied from the editor is left alone', () => {
+    const html = '<p data-pm-slice="1 1 []"><span style="font-weight:700">kept</span></p>';
+    assert.equal(cleanPastedHtml(html), html);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditorState, TextSelection } from 'prosemirror-state';
+import { indentSourceLines, toggleSourceBlockquote, setSourceHeading } from '../src/commands/source_commands.js';
+import { createSourceDoc } from '../src/editor/markdown-view.js';
+
+// Source state of some lines with all of them selected
+function selectAll(text) {
+    const doc = createSourceDoc(text);
+    return EditorState.create({ doc, selection: TextSelection.create(doc, 1, doc.content.size - 1) });
+}
+
+function run(state, command) {
+    command(state, tr => {
+        state = state.apply(tr);
+    });
+    return state;
+}
+
+const text = state => {
+    const lines = [];
+    state.doc.forEach(line => lines.push(line.textContent));
+    return lines.join('\n');
+};
+
+test('line commands keep the selection over the lines they edit', () => {
+    let state = selectAll('a\nb\nc');
+    state = run(state, indentSourceLines(1));
+    state = run(state, indentSourceLines(1));
+    assert.equal(text(state), '        a\n        b\n        c');
+    assert.equal(state.selection.from, 1);
+    assert.equal(state.selection.to, state.doc.content.size - 1);
+
+    state = run(selectAll('a\nb'), toggleSourceBlockquote());
+    state = run(state, toggleSourceBlockquote());
+    assert.equal(text(state), 'a\nb');
+
+    state = run(selectAll('a\nb'), setSourceHeading(2));
+    state = run(state, setSourceHeading(2));
+    assert.equal(text(state), 'a\nb');
+});
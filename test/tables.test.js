@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditorState, TextSelection } from 'prosemirror-state';
+import { markdownSchema as schema } from '../src/markdown/schema.js';
+import { parseMarkdown } from '../src/markdown/parser.js';
+import { serializeMarkdown } from '../src/markdown/serializer.js';
+import { setColumnAlign, getColumnAlign } from '../src/commands/table_commands.js';
+
+// A table with a header row and one body row, each given as the content of its cells
+function table(header, body) {
+    const row = (type, cells) => schema.nodes.table_row.create(null, cells.map(content => schema.nodes[type].create(null, content)));
+    return schema.node('doc', null, [schema.nodes.table.create(null, [row('table_header', header), row('table_cell', body)])]);
+}
+
+function run(state, command) {
+    command(state, tr => {
+        state = state.apply(tr);
+    });
+    return state;
+}
+
+test('hard breaks in table cells are written as <br>', () => {
+    const broken = [schema.text('one'), schema.nodes.hard_break.create(), schema.text('two')];
+    const markdown = serializeMarkdown(table([[schema.text('A')]], [broken]));
+    assert.equal(markdown, '| A          |\n|------------|\n| one<br>two |');
+
+    // The break reads back as inline HTML in the same cell
+    const cell = parseMarkdown(markdown).firstChild.lastChild.firstChild;
+    assert.deepEqual(cell.content.content.map(node => node.type.name), ['text', 'html_inline', 'text']);
+    assert.equal(serializeMarkdown(parseMarkdown(markdown)), markdown);
+});
+
+test('setColumnAlign aligns every cell of the selected column', () => {
+    const doc = parseMarkdown('| A | B |\n|-----|-----|\n| 1 | 2 |');
+    let state = EditorState.create({ doc });
+    // Cursor in the body cell of the second column
+    let cursor;
+    doc.descendants((node, pos) => {
+        if (node.isText && node.text === '2') cursor = pos;
+    });
+    state = state.apply(state.tr.setSelection(TextSelection.create(doc, cursor)));
+    assert.equal(getColumnAlign(state), null);
+
+    state = run(state, setColumnAlign('right'));
+    assert.equal(getColumnAlign(state), 'right');
+    assert.equal(serializeMarkdown(state.doc), '| A   |   B |\n|-----|----:|\n| 1   |   2 |');
+
+    state = run(state, setColumnAlign(null));
+    assert.equal(serializeMarkdown(state.doc), '| A   | B   |\n|-----|-----|\n| 1   | 2   |');
+    assert.equal(getColumnAlign(EditorState.create({ doc: parseMarkdown('Text') })), undefined);
+});
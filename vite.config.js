@@ -1,11 +1,32 @@
 import { defineConfig } from 'vite';
+import { dependencies } from './package.json';
 
-export default defineConfig(({ command }) => ({
+// Dependencies stay imports in the library build, for the consumer's bundler to resolve
+const external = id => Object.keys(dependencies).some(dep => id === dep || id.startsWith(`${dep}/`));
+
+export default defineConfig(({ command, mode }) => ({
     // Use relative paths for build, specific path for dev
     base: command === 'build' ? './' : '/prosemirror-md/',
     
     // Build configuration
-    build: {
+    build: mode === 'lib' ? {
+        // ESM library for consumers: `npm run build:lib`
+        outDir: 'lib',
+        emptyOutDir: true,
+        sourcemap: true,
+        // Left to the consumer's bundler
+        minify: false,
+        target: 'es2020',
+        lib: {
+            entry: './src/lib.js',
+            formats: ['es'],
+            fileName: 'prosemirror-md',
+            cssFileName: 'prosemirror-md'
+        },
+        rollupOptions: {
+            external
+        }
+    } : {
         // Output directory
         outDir: 'dist',
         